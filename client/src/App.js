@@ -30,6 +30,8 @@ function App() {
   const [downloads, setDownloads] = useState({ active: [], queue: 0 });
   const [toast, setToast] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
+  const [providerStatus, setProviderStatus] = useState(null);
+  const [upstreamStatus, setUpstreamStatus] = useState(null);
 
   useEffect(() => {
     // Initialize WebSocket connection
@@ -44,6 +46,8 @@ function App() {
         setIsConnected(true);
         // Fetch downloads immediately when WebSocket connects
         fetchDownloadStatus();
+        fetchProviderStatus();
+        fetchUpstreamStatus();
       };
       
       ws.onmessage = (event) => {
@@ -97,7 +101,19 @@ function App() {
           updated.active.push(data.data);
         }
         
-        // Remove completed or failed downloads after a delay
+        // Keep the queue count in step with the queued entries
+        updated.queue = updated.active.filter(d => d.status === 'queued').length;
+        
+        // Remove completed, failed or cancelled downloads after a delay
+        if (data.data.status === 'cancelled') {
+          setTimeout(() => {
+            setDownloads(current => ({
+              ...current,
+              active: current.active.filter(d => d.id !== data.data.id)
+            }));
+          }, 5000);
+        }
+        
         if (data.data.status === 'completed' || data.data.status === 'failed') {
           setTimeout(() => {
             setDownloads(current => ({
@@ -117,11 +133,31 @@ function App() {
         
         return updated;
       });
-    } else if (data.type === 'download_removed') {
+    } else if (data.type === 'queue_order') {
+      // Re-number waiting downloads to match the server's queue order
       setDownloads(prev => ({
         ...prev,
-        active: prev.active.filter(d => d.id !== data.data.id)
+        order: data.data.order,
+        active: prev.active.map(d => {
+          const index = data.data.order.indexOf(d.id);
+          return index === -1 ? d : { ...d, queuePosition: index + 1 };
+        })
       }));
+    } else if (data.type === 'provider_status') {
+      setProviderStatus(data.data);
+    } else if (data.type === 'upstream_status') {
+      setUpstreamStatus(data.data);
+    } else if (data.type === 'queue_status') {
+      setDownloads(prev => ({ ...prev, paused: data.data.paused, scheduled: data.data.scheduled, held: data.data.held }));
+    } else if (data.type === 'download_removed') {
+      setDownloads(prev => {
+        const active = prev.active.filter(d => d.id !== data.data.id);
+        return {
+          ...prev,
+          active,
+          queue: active.filter(d => d.status === 'queued').length
+        };
+      });
     }
   };
 
@@ -135,6 +171,24 @@ function App() {
     }
   };
 
+  const fetchProviderStatus = async () => {
+    try {
+      const response = await axios.get('/api/provider/status');
+      setProviderStatus(response.data);
+    } catch (error) {
+      console.error('Failed to fetch provider status:', error);
+    }
+  };
+
+  const fetchUpstreamStatus = async () => {
+    try {
+      const response = await axios.get('/api/upstream/status');
+      setUpstreamStatus(response.data);
+    } catch (error) {
+      console.error('Failed to fetch upstream status:', error);
+    }
+  };
+
   const handleRouteChange = (pathname) => {
     // Refresh downloads when navigating to downloads page
     if (pathname === '/downloads') {
@@ -148,17 +202,33 @@ function App() {
     setTimeout(() => setToast(null), 5000);
   };
 
-  const startDownload = async (type, id, quality = 7) => {
+  const startDownload = async (type, id, quality = 7, onDuplicate = 'skip') => {
     try {
       console.log(`Starting download: type=${type}, id=${id}, quality=${quality}`);
       
       const endpoint = type === 'album' ? '/api/download/album' : '/api/download/track';
-      const payload = type === 'album' ? { albumId: id, quality } : { trackId: id, quality };
+      const payload = type === 'album' ? { albumId: id, quality, onDuplicate } : { trackId: id, quality, onDuplicate };
       
       console.log(`Sending request to ${endpoint} with payload:`, payload);
       
       const response = await axios.post(endpoint, payload);
-      showToast(`${type === 'album' ? 'Album' : 'Track'} download started!`, 'success');
+      if (response.data.skipped) {
+        showToast(response.data.message, 'info');
+        return null;
+      }
+      
+      if (response.data.skippedTracks?.length > 0) {
+        showToast(response.data.message, 'success');
+        setTimeout(fetchDownloadStatus, 500);
+        return response.data.downloadId;
+      }
+      
+      showToast(
+        response.data.queuePosition 
+          ? `${type === 'album' ? 'Album' : 'Track'} queued (position ${response.data.queuePosition})`
+          : `${type === 'album' ? 'Album' : 'Track'} download started!`,
+        'success'
+      );
       
       // Immediately refresh download status to show the new download
       setTimeout(fetchDownloadStatus, 500);
@@ -174,14 +244,76 @@ function App() {
 
   const cancelDownload = async (downloadId) => {
     try {
-      await axios.delete(`/api/download/${downloadId}`);
-      showToast('Download cancelled', 'info');
+      const response = await axios.delete(`/api/download/${downloadId}`);
+      showToast(response.data.message || 'Download cancelled', 'info');
       fetchDownloadStatus();
     } catch (error) {
       showToast('Failed to cancel download', 'error');
     }
   };
 
+  const pauseDownload = async (downloadId) => {
+    try {
+      await axios.post(`/api/download/${downloadId}/pause`);
+      showToast('Download paused', 'info');
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to pause download', 'error');
+    }
+  };
+
+  const resumeDownload = async (downloadId) => {
+    try {
+      await axios.post(`/api/download/${downloadId}/resume`);
+      showToast('Download resumed', 'info');
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to resume download', 'error');
+    }
+  };
+
+  const moveDownload = async (downloadId, move) => {
+    try {
+      await axios.post(`/api/download/${downloadId}/move`, move);
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to move download', 'error');
+    }
+  };
+
+  const setDownloadPriority = async (downloadId, priority) => {
+    try {
+      await axios.post(`/api/download/${downloadId}/priority`, { priority });
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to change priority', 'error');
+    }
+  };
+
+  const scheduleDownload = async (downloadId, notBefore) => {
+    try {
+      await axios.post(`/api/download/${downloadId}/schedule`, { notBefore });
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to change start time', 'error');
+    }
+  };
+
+  const toggleQueuePaused = async (paused) => {
+    try {
+      await axios.post(paused ? '/api/downloads/pause' : '/api/downloads/resume');
+      showToast(paused ? 'All downloads paused' : 'All downloads resumed', 'info');
+      fetchDownloadStatus();
+    } catch (error) {
+      showToast(paused ? 'Failed to pause downloads' : 'Failed to resume downloads', 'error');
+    }
+  };
+
+  const resetUpstream = async () => {
+    try {
+      const response = await axios.post('/api/upstream/reset');
+      setUpstreamStatus(response.data);
+      showToast('Retrying upstream requests', 'info');
+    } catch (error) {
+      showToast('Failed to reset upstream', 'error');
+    }
+  };
+
   return (
     <Router>
       <div className="App">
@@ -190,6 +322,8 @@ function App() {
         <Header 
           downloads={downloads} 
           isConnected={isConnected}
+          providerStatus={providerStatus}
+          upstreamStatus={upstreamStatus}
         />
         
         <main className="main-content">
@@ -221,13 +355,21 @@ function App() {
               element={
                 <DownloadsPage 
                   downloads={downloads}
+                  upstreamStatus={upstreamStatus}
+                  onResetUpstream={resetUpstream}
                   onCancel={cancelDownload}
+                  onPause={pauseDownload}
+                  onResume={resumeDownload}
+                  onToggleQueuePaused={toggleQueuePaused}
+                  onMove={moveDownload}
+                  onSetPriority={setDownloadPriority}
+                  onSchedule={scheduleDownload}
                 />
               } 
             />
             <Route 
               path="/history" 
-              element={<HistoryPage />} 
+              element={<HistoryPage showToast={showToast} />} 
             />
             <Route 
               path="/settings" 
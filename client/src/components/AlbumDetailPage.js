@@ -8,6 +8,7 @@ const AlbumDetailPage = ({ onDownload, showToast }) => {
   const [album, setAlbum] = useState(null);
   const [loading, setLoading] = useState(true);
   const [quality, setQuality] = useState(7);
+  const [onDuplicate, setOnDuplicate] = useState('skip');
   const [downloadingTracks, setDownloadingTracks] = useState(new Set());
 
   const qualityOptions = [
@@ -17,6 +18,12 @@ const AlbumDetailPage = ({ onDownload, showToast }) => {
     { value: 27, label: 'Hi-Res 192kHz' }
   ];
 
+  const duplicateOptions = [
+    { value: 'skip', label: 'Skip' },
+    { value: 'overwrite', label: 'Overwrite' },
+    { value: 'keepBoth', label: 'Keep both' }
+  ];
+
   useEffect(() => {
     fetchAlbum();
   }, [id]);
@@ -35,7 +42,7 @@ const AlbumDetailPage = ({ onDownload, showToast }) => {
 
   const handleDownloadAlbum = async () => {
     try {
-      await onDownload('album', id, quality);
+      await onDownload('album', id, quality, onDuplicate);
     } catch (error) {
       console.error('Album download error:', error);
     }
@@ -60,9 +67,14 @@ const AlbumDetailPage = ({ onDownload, showToast }) => {
       const response = await axios.post('/api/download/track', {
         trackId: track.id,
         quality: quality,
-        trackData: trackData
+        trackData: trackData,
+        onDuplicate
       });
-      showToast('Track download started!', 'success');
+      if (response.data.skipped) {
+        showToast(response.data.message, 'info');
+      } else {
+        showToast('Track download started!', 'success');
+      }
     } catch (error) {
       const errorMessage = error.response?.data?.error || 'Download failed';
       console.error('Download error:', error);
@@ -243,6 +255,21 @@ const AlbumDetailPage = ({ onDownload, showToast }) => {
                   ))}
                 </select>
               </div>
+
+              <div className="quality-selector">
+                <label style={{ color: '#888', marginRight: '0.5rem' }}>If already downloaded:</label>
+                <select
+                  value={onDuplicate}
+                  onChange={(e) => setOnDuplicate(e.target.value)}
+                  className="quality-select"
+                >
+                  {duplicateOptions.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
             </div>
           </div>
         </div>
@@ -1,8 +1,12 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import axios from 'axios';
-import { Download, X, Music, Clock, CheckCircle, AlertCircle, Loader } from 'lucide-react';
+import { Download, X, Music, Clock, CheckCircle, AlertCircle, Loader, Pause, Play, ChevronDown, ChevronRight, RotateCw, ChevronsUp, ChevronsDown, GripVertical, HardDrive, CloudOff } from 'lucide-react';
+
+const DownloadsPage = ({ downloads, upstreamStatus, onResetUpstream, onCancel, onPause, onResume, onToggleQueuePaused, onMove, onSetPriority, onSchedule }) => {
+  const [expandedAlbums, setExpandedAlbums] = useState({});
+  const [draggedId, setDraggedId] = useState(null);
+  const [dragOverId, setDragOverId] = useState(null);
 
-const DownloadsPage = ({ downloads, onCancel }) => {
   // Fetch downloads when component mounts to ensure fresh data
   useEffect(() => {
     const fetchDownloads = async () => {
@@ -24,7 +28,19 @@ const DownloadsPage = ({ downloads, onCancel }) => {
       case 'downloading':
         return <Loader size={16} className="spinner" />;
       case 'processing':
+      case 'verifying':
         return <Loader size={16} className="spinner" />;
+      case 'cancelling':
+      case 'pausing':
+        return <Loader size={16} className="spinner" style={{ color: '#888' }} />;
+      case 'paused':
+        return <Pause size={16} style={{ color: '#eab308' }} />;
+      case 'scheduled':
+        return <Clock size={16} style={{ color: '#a855f7' }} />;
+      case 'waiting for space':
+        return <HardDrive size={16} style={{ color: '#eab308' }} />;
+      case 'waiting for upstream':
+        return <CloudOff size={16} style={{ color: '#eab308' }} />;
       case 'completed':
         return <CheckCircle size={16} style={{ color: '#10b981' }} />;
       case 'failed':
@@ -39,7 +55,13 @@ const DownloadsPage = ({ downloads, onCancel }) => {
   const getStatusText = (download) => {
     switch (download.status) {
       case 'queued':
-        return 'Queued';
+        return download.queuePosition ? `Queued (#${download.queuePosition})` : 'Queued';
+      case 'scheduled':
+        return download.scheduledStart ? `Scheduled for ${formatScheduledStart(download.scheduledStart)}` : 'Scheduled';
+      case 'waiting for space':
+        return 'Waiting for disk space';
+      case 'waiting for upstream':
+        return 'Waiting for the upstream to recover';
       case 'downloading':
         if (download.type === 'album') {
           return download.currentTrack ? 
@@ -51,7 +73,12 @@ const DownloadsPage = ({ downloads, onCancel }) => {
         return 'Processing metadata...';
       case 'moving files':
         return 'Moving files to final location...';
+      case 'verifying':
+        return 'Checking downloaded files...';
       case 'completed':
+        if (download.skipped) {
+          return 'Already in library';
+        }
         if (download.type === 'album') {
           const failed = download.failedTracks || 0;
           const completed = download.completedTracks || 0;
@@ -62,6 +89,15 @@ const DownloadsPage = ({ downloads, onCancel }) => {
         return 'Completed';
       case 'failed':
         return 'Failed';
+      case 'cancelling':
+        return 'Cancelling...';
+      case 'pausing':
+        return 'Pausing...';
+      case 'paused':
+        if (download.type === 'album' && download.completedTracks > 0) {
+          return `Paused (${download.completedTracks}/${download.totalTracks} tracks done)`;
+        }
+        return 'Paused';
       case 'cancelled':
         return 'Cancelled';
       default:
@@ -75,6 +111,21 @@ const DownloadsPage = ({ downloads, onCancel }) => {
     }
   };
 
+  const formatScheduledStart = (time) => {
+    const date = new Date(time);
+    const isToday = date.toDateString() === new Date().toDateString();
+    const timeText = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return isToday ? timeText : `${date.toLocaleDateString()} ${timeText}`;
+  };
+
+  // A start time as the value of a datetime-local input, in local time
+  const toDateTimeInput = (time) => {
+    if (!time) return '';
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  };
+
   const formatElapsedTime = (startTime) => {
     const start = new Date(startTime);
     const now = new Date();
@@ -86,20 +137,210 @@ const DownloadsPage = ({ downloads, onCancel }) => {
     return `${minutes}m ${seconds}s`;
   };
 
+  const formatBytes = (bytes) => {
+    if (!bytes) return '0 MB';
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  };
+
+  const formatEta = (seconds) => {
+    if (seconds === null || seconds === undefined) return null;
+    if (seconds < 60) return `${seconds}s left`;
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}m ${seconds % 60}s left`;
+  };
+
+  const getTransferText = (download) => {
+    const parts = [];
+    if (download.type !== 'album' && download.bytesDownloaded) {
+      parts.push(download.totalBytes 
+        ? `${formatBytes(download.bytesDownloaded)} of ${formatBytes(download.totalBytes)}` 
+        : formatBytes(download.bytesDownloaded));
+    }
+    if (download.speed) parts.push(`${formatBytes(download.speed)}/s`);
+    const eta = formatEta(download.eta);
+    if (eta) parts.push(eta);
+    return parts.join(' • ');
+  };
+
+  const toggleAlbumTracks = (downloadId) => {
+    setExpandedAlbums(prev => ({ ...prev, [downloadId]: !prev[downloadId] }));
+  };
+
+  const getTrackStatusIcon = (status) => {
+    switch (status) {
+      case 'downloading':
+      case 'tagging':
+        return <Loader size={12} className="spinner" />;
+      case 'retrying':
+        return <RotateCw size={12} style={{ color: '#eab308' }} />;
+      case 'done':
+        return <CheckCircle size={12} style={{ color: '#10b981' }} />;
+      case 'failed':
+        return <AlertCircle size={12} style={{ color: '#ef4444' }} />;
+      default:
+        return <Clock size={12} style={{ color: '#555' }} />;
+    }
+  };
+
+  const getTrackStatusText = (track) => {
+    switch (track.status) {
+      case 'downloading':
+        return `${track.progress || 0}%`;
+      case 'tagging':
+        return 'Tagging...';
+      case 'retrying':
+        return `Retry in ${track.retryIn}s`;
+      case 'done':
+        return 'Done';
+      case 'failed':
+        return 'Failed';
+      default:
+        return 'Pending';
+    }
+  };
+
+  const renderTrackRow = (track) => (
+    <div key={track.id} style={{ fontSize: '0.8rem', color: '#888', marginBottom: '0.25rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+          {getTrackStatusIcon(track.status)}
+          {String(track.trackNumber).padStart(2, '0')} - {track.title}
+        </span>
+        <span style={{ color: track.status === 'failed' ? '#ef4444' : '#888', whiteSpace: 'nowrap' }}>
+          {getTrackStatusText(track)}
+          {track.retries > 0 && ` • ${track.retries} ${track.retries === 1 ? 'retry' : 'retries'}`}
+          {track.urlRefreshes > 0 && ` • ${track.urlRefreshes} new ${track.urlRefreshes === 1 ? 'link' : 'links'}`}
+        </span>
+      </div>
+      {(track.status === 'failed' || track.status === 'retrying') && track.error && (
+        <div style={{ color: track.status === 'failed' ? '#ef4444' : '#eab308', marginLeft: '1.2rem' }}>
+          {track.error}
+        </div>
+      )}
+      {track.status === 'downloading' && (
+        <div className="progress-bar" style={{ height: '4px', margin: '0.25rem 0' }}>
+          <div 
+            className="progress-fill" 
+            style={{ width: `${track.progress || 0}%` }}
+          ></div>
+        </div>
+      )}
+    </div>
+  );
+
+  // Downloads still waiting for a slot can be reordered
+  const isWaiting = (download) => (
+    ['queued', 'scheduled', 'waiting for space', 'waiting for upstream', 'paused'].includes(download.status) && download.queuePosition > 0
+  );
+
+  // Running and finished downloads first, then the waiting ones in queue order
+  const sortedDownloads = [...(downloads.active || [])].sort((a, b) => (
+    (isWaiting(a) ? a.queuePosition : 0) - (isWaiting(b) ? b.queuePosition : 0)
+  ));
+
+  const handleDragStart = (event, download) => {
+    setDraggedId(download.id);
+    event.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (event, download) => {
+    if (!draggedId || !isWaiting(download)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    setDragOverId(download.id);
+  };
+
+  const handleDrop = (event, download) => {
+    event.preventDefault();
+    if (draggedId && draggedId !== download.id && isWaiting(download)) {
+      onMove(draggedId, { position: download.queuePosition });
+    }
+    handleDragEnd();
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDragOverId(null);
+  };
+
+  const isRunning = (download) => (
+    download.status === 'downloading' || 
+    download.status === 'processing' || 
+    download.status?.startsWith('downloading track') || 
+    download.status?.startsWith('retry in')
+  );
+
   return (
     <div>
-      <div className="page-header">
-        <h1 className="page-title">Downloads</h1>
-        <p className="page-subtitle">
-          Active downloads and queue status
-          {downloads.queue > 0 && (
-            <span style={{ color: '#0ea5e9', marginLeft: '0.5rem' }}>
-              • {downloads.queue} in queue
-            </span>
-          )}
-        </p>
+      <div className="page-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem' }}>
+        <div>
+          <h1 className="page-title">Downloads</h1>
+          <p className="page-subtitle">
+            Active downloads and queue status
+            {downloads.queue > 0 && (
+              <span style={{ color: '#0ea5e9', marginLeft: '0.5rem' }}>
+                • {downloads.queue} in queue
+              </span>
+            )}
+            {downloads.scheduled > 0 && (
+              <span style={{ color: '#a855f7', marginLeft: '0.5rem' }}>
+                • {downloads.scheduled} scheduled
+              </span>
+            )}
+            {downloads.held > 0 && (
+              <span style={{ color: '#eab308', marginLeft: '0.5rem' }}>
+                • {downloads.held} waiting for disk space
+              </span>
+            )}
+            {downloads.maxConcurrent > 0 && (
+              <span style={{ color: '#666', marginLeft: '0.5rem' }}>
+                • up to {downloads.maxConcurrent} at a time
+              </span>
+            )}
+            {downloads.paused && (
+              <span style={{ color: '#eab308', marginLeft: '0.5rem' }}>
+                • Queue paused
+              </span>
+            )}
+          </p>
+        </div>
+        
+        <button 
+          onClick={() => onToggleQueuePaused(!downloads.paused)}
+          className="btn btn-secondary"
+          style={{ padding: '0.5rem 1rem' }}
+        >
+          {downloads.paused ? <Play size={14} /> : <Pause size={14} />}
+          {downloads.paused ? 'Resume all' : 'Pause all'}
+        </button>
       </div>
 
+      {upstreamStatus && upstreamStatus.state !== 'closed' && (
+        <div className="card" style={{ marginBottom: '1.5rem', display: 'flex', alignItems: 'center', gap: '1rem', borderColor: '#eab308' }}>
+          <CloudOff size={20} style={{ color: '#eab308', flexShrink: 0 }} />
+          <div style={{ flex: 1 }}>
+            <div style={{ color: '#eab308', fontWeight: 'bold' }}>
+              Upstream requests paused after {upstreamStatus.consecutiveFailures} failures in a row
+            </div>
+            <div style={{ color: '#888', fontSize: '0.85rem', marginTop: '0.25rem' }}>
+              {upstreamStatus.state === 'half-open' 
+                ? 'Trying again now. ' 
+                : `Queued downloads wait until ${new Date(upstreamStatus.retryAt).toLocaleTimeString()}. `}
+              {upstreamStatus.lastError && `Last error: ${upstreamStatus.lastError}`}
+            </div>
+          </div>
+          <button 
+            onClick={onResetUpstream}
+            className="btn btn-secondary"
+            style={{ padding: '0.5rem 1rem' }}
+          >
+            <RotateCw size={14} />
+            Retry now
+          </button>
+        </div>
+      )}
+
       {downloads.active && downloads.active.length > 0 ? (
         <div>
           <h2 style={{ marginBottom: '1rem', color: '#ffffff', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
@@ -107,11 +348,43 @@ const DownloadsPage = ({ downloads, onCancel }) => {
             Active Downloads ({downloads.active.length})
           </h2>
           
-          {downloads.active.map((download) => (
-            <div key={download.id} className="card download-item">
+          {sortedDownloads.map((download) => (
+            <div 
+              key={download.id} 
+              className="card download-item"
+              draggable={isWaiting(download)}
+              onDragStart={(event) => handleDragStart(event, download)}
+              onDragOver={(event) => handleDragOver(event, download)}
+              onDragLeave={() => setDragOverId(null)}
+              onDrop={(event) => handleDrop(event, download)}
+              onDragEnd={handleDragEnd}
+              style={{
+                opacity: draggedId === download.id ? 0.5 : 1,
+                boxShadow: dragOverId === download.id ? 'inset 0 2px 0 #0ea5e9' : undefined
+              }}
+            >
+              {isWaiting(download) && (
+                <div title="Drag to reorder" style={{ display: 'flex', alignItems: 'center', color: '#555', cursor: 'grab', marginRight: '0.5rem' }}>
+                  <GripVertical size={16} />
+                </div>
+              )}
+              
               <div className="download-info">
                 <div className="download-title">
                   {download.title || 'Unknown Title'}
+                  {download.priority && download.priority !== 'normal' && (
+                    <span style={{ 
+                      fontSize: '0.7rem', 
+                      marginLeft: '0.5rem', 
+                      padding: '0.1rem 0.4rem', 
+                      borderRadius: '4px',
+                      background: download.priority === 'high' ? 'rgba(239, 68, 68, 0.2)' : 'rgba(255, 255, 255, 0.1)',
+                      color: download.priority === 'high' ? '#ef4444' : '#888',
+                      textTransform: 'uppercase'
+                    }}>
+                      {download.priority}
+                    </span>
+                  )}
                 </div>
                 <div className="download-status" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
                   {getStatusIcon(download.status)}
@@ -129,6 +402,30 @@ const DownloadsPage = ({ downloads, onCancel }) => {
                   </div>
                 )}
                 
+                {download.resumed && (
+                  <div style={{ color: '#888', fontSize: '0.8rem', marginTop: '0.25rem' }}>
+                    Resumed after restart
+                  </div>
+                )}
+
+                {download.status === 'waiting for space' && download.heldReason && (
+                  <div style={{ color: '#eab308', fontSize: '0.8rem', marginTop: '0.25rem' }}>
+                    {download.heldReason}
+                  </div>
+                )}
+
+                {download.qualityWarning && (
+                  <div style={{ color: '#eab308', fontSize: '0.8rem', marginTop: '0.25rem' }}>
+                    {download.qualityWarning}
+                  </div>
+                )}
+                
+                {download.upgradeFrom && (
+                  <div style={{ color: '#888', fontSize: '0.8rem', marginTop: '0.25rem' }}>
+                    Upgrade from {download.upgradeFrom} - the existing files are replaced once this finishes
+                  </div>
+                )}
+                
                 {(download.status === 'downloading' || download.status === 'processing' || download.status?.startsWith('downloading track') || download.status === 'moving files') && (
                   <div className="progress-bar">
                     <div 
@@ -138,6 +435,20 @@ const DownloadsPage = ({ downloads, onCancel }) => {
                   </div>
                 )}
                 
+                {download.type === 'album' && download.tracks?.length > 0 && !expandedAlbums[download.id] && (
+                  <div style={{ marginTop: '0.25rem' }}>
+                    {download.tracks
+                      .filter(track => ['downloading', 'tagging', 'retrying'].includes(track.status))
+                      .map(renderTrackRow)}
+                  </div>
+                )}
+                
+                {(download.status === 'downloading' || download.status?.startsWith('downloading track')) && getTransferText(download) && (
+                  <div style={{ fontSize: '0.8rem', color: '#888', marginTop: '0.25rem' }}>
+                    {getTransferText(download)}
+                  </div>
+                )}
+                
                 {download.type === 'album' && download.totalTracks && (
                   <div style={{ fontSize: '0.8rem', color: '#888', marginTop: '0.25rem' }}>
                     Track progress: {download.completedTracks || 0} / {download.totalTracks}
@@ -146,12 +457,103 @@ const DownloadsPage = ({ downloads, onCancel }) => {
                         ({download.failedTracks} failed)
                       </span>
                     )}
+                    {download.tracks?.length > 0 && (
+                      <button 
+                        onClick={() => toggleAlbumTracks(download.id)}
+                        style={{ background: 'none', border: 'none', color: '#0ea5e9', cursor: 'pointer', fontSize: '0.8rem', marginLeft: '0.5rem', display: 'inline-flex', alignItems: 'center', gap: '0.25rem' }}
+                      >
+                        {expandedAlbums[download.id] ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                        {expandedAlbums[download.id] ? 'Hide tracks' : 'Show all tracks'}
+                      </button>
+                    )}
+                  </div>
+                )}
+                
+                {download.type === 'album' && expandedAlbums[download.id] && download.tracks?.length > 0 && (
+                  <div style={{ marginTop: '0.5rem', paddingTop: '0.5rem', borderTop: '1px solid rgba(255, 255, 255, 0.1)' }}>
+                    {download.tracks.map(renderTrackRow)}
                   </div>
                 )}
               </div>
               
               <div className="download-actions">
-                {(download.status === 'queued' || download.status === 'downloading' || download.status?.startsWith('downloading track') || download.status?.startsWith('retry in')) && (
+                {isWaiting(download) && (
+                  <>
+                    <select
+                      value={download.priority || 'normal'}
+                      onChange={(event) => onSetPriority(download.id, event.target.value)}
+                      className="quality-select"
+                      title="Priority"
+                      style={{ padding: '0.4rem' }}
+                    >
+                      <option value="high">High</option>
+                      <option value="normal">Normal</option>
+                      <option value="low">Low</option>
+                    </select>
+                    
+                    <input
+                      type="datetime-local"
+                      value={toDateTimeInput(download.notBefore)}
+                      onChange={(event) => event.target.value && onSchedule(download.id, new Date(event.target.value).toISOString())}
+                      className="search-input"
+                      title="Start no earlier than"
+                      style={{ padding: '0.4rem', width: 'auto' }}
+                    />
+                    
+                    {download.notBefore && (
+                      <button 
+                        onClick={() => onSchedule(download.id, null)}
+                        className="btn btn-secondary"
+                        title="Clear start time"
+                        style={{ padding: '0.5rem' }}
+                      >
+                        <X size={14} />
+                      </button>
+                    )}
+                    
+                    <button 
+                      onClick={() => onMove(download.id, { direction: 'top' })}
+                      className="btn btn-secondary"
+                      title="Move to top"
+                      style={{ padding: '0.5rem' }}
+                    >
+                      <ChevronsUp size={14} />
+                    </button>
+                    
+                    <button 
+                      onClick={() => onMove(download.id, { direction: 'bottom' })}
+                      className="btn btn-secondary"
+                      title="Move to bottom"
+                      style={{ padding: '0.5rem' }}
+                    >
+                      <ChevronsDown size={14} />
+                    </button>
+                  </>
+                )}
+                
+                {(download.status === 'queued' || download.status === 'scheduled' || download.status === 'waiting for space' || download.status === 'waiting for upstream' || isRunning(download)) && (
+                  <button 
+                    onClick={() => onPause(download.id)}
+                    className="btn btn-secondary"
+                    style={{ padding: '0.5rem 1rem' }}
+                  >
+                    <Pause size={14} />
+                    Pause
+                  </button>
+                )}
+                
+                {download.status === 'paused' && (
+                  <button 
+                    onClick={() => onResume(download.id)}
+                    className="btn btn-primary"
+                    style={{ padding: '0.5rem 1rem' }}
+                  >
+                    <Play size={14} />
+                    Resume
+                  </button>
+                )}
+                
+                {(download.status === 'queued' || download.status === 'scheduled' || download.status === 'waiting for space' || download.status === 'waiting for upstream' || download.status === 'paused' || isRunning(download)) && (
                   <button 
                     onClick={() => onCancel(download.id)}
                     className="btn btn-danger"
@@ -2,13 +2,36 @@ import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { Search, Download, History, Settings, Music } from 'lucide-react';
 
-const Header = ({ downloads, isConnected }) => {
+const Header = ({ downloads, isConnected, providerStatus, upstreamStatus }) => {
   const location = useLocation();
   
   const isActive = (path) => location.pathname === path;
   
   const activeDownloads = downloads?.active?.length || 0;
   
+  const providerName = providerStatus?.provider 
+    ? providerStatus.provider.charAt(0).toUpperCase() + providerStatus.provider.slice(1) 
+    : 'Provider';
+  
+  const getProviderText = () => {
+    if (providerStatus?.reachable === null) return `${providerName} checking...`;
+    return providerStatus?.reachable ? `${providerName} ${providerStatus.latency} ms` : `${providerName} unreachable`;
+  };
+  
+  const getProviderTitle = () => {
+    const checked = providerStatus?.checkedAt 
+      ? `Last checked ${new Date(providerStatus.checkedAt).toLocaleTimeString()}` 
+      : 'Not checked yet';
+    return providerStatus?.error ? `${checked}: ${providerStatus.error}` : checked;
+  };
+
+  const getUpstreamTitle = () => {
+    const retry = upstreamStatus?.state === 'half-open' 
+      ? 'Trying again now' 
+      : `Trying again at ${new Date(upstreamStatus?.retryAt).toLocaleTimeString()}`;
+    return upstreamStatus?.lastError ? `${retry} - last error: ${upstreamStatus.lastError}` : retry;
+  };
+  
   return (
     <header className="header">
       <div className="header-content">
@@ -67,6 +90,27 @@ const Header = ({ downloads, isConnected }) => {
               {isConnected ? 'Connected' : 'Disconnected'}
             </span>
           </div>
+          
+          {isConnected && providerStatus && (
+            <div className="status-indicator" title={getProviderTitle()}>
+              <div 
+                className={`status-dot ${providerStatus.reachable ? 'connected' : ''}`}
+                style={providerStatus.reachable === null ? { background: '#888' } : undefined}
+              ></div>
+              <span style={{ fontSize: '0.9rem', color: '#888' }}>
+                {getProviderText()}
+              </span>
+            </div>
+          )}
+          
+          {isConnected && upstreamStatus && upstreamStatus.state !== 'closed' && (
+            <div className="status-indicator" title={getUpstreamTitle()}>
+              <div className="status-dot" style={{ background: '#eab308' }}></div>
+              <span style={{ fontSize: '0.9rem', color: '#eab308' }}>
+                {upstreamStatus.state === 'half-open' ? 'Upstream retrying' : 'Upstream paused'}
+              </span>
+            </div>
+          )}
         </nav>
       </div>
     </header>
@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
-import { History, Music, Download, CheckCircle, AlertCircle, Folder, Clock } from 'lucide-react';
+import { History, Music, Download, CheckCircle, AlertCircle, Folder, Clock, X, RotateCw, ShieldCheck, Wrench } from 'lucide-react';
 
-const HistoryPage = () => {
+const HistoryPage = ({ showToast }) => {
   const [history, setHistory] = useState([]);
+  const [retrying, setRetrying] = useState({});
+  const [albumChecks, setAlbumChecks] = useState({});
   const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState('all'); // all, completed, failed
+  const [filter, setFilter] = useState('all'); // all, completed, failed, cancelled
   const [sortBy, setSortBy] = useState('newest'); // newest, oldest, title
 
   useEffect(() => {
@@ -23,6 +25,89 @@ const HistoryPage = () => {
     }
   };
 
+  const retryFailedTracks = async (item) => {
+    setRetrying(prev => ({ ...prev, [item.id]: true }));
+    try {
+      const response = await axios.post(`/api/history/${item.id}/retry-failed`);
+      showToast(response.data.message, 'success');
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to retry tracks', 'error');
+      setRetrying(prev => ({ ...prev, [item.id]: false }));
+    }
+  };
+  
+  const checkAlbum = async (item) => {
+    setAlbumChecks(prev => ({ ...prev, [item.id]: { loading: true } }));
+    try {
+      const response = await axios.get('/api/library/album/check', { params: { path: item.filePath } });
+      setAlbumChecks(prev => ({ ...prev, [item.id]: response.data }));
+    } catch (error) {
+      setAlbumChecks(prev => ({ ...prev, [item.id]: { error: error.response?.data?.error || 'Check failed' } }));
+    }
+  };
+  
+  const repairAlbum = async (item) => {
+    try {
+      const response = await axios.post('/api/library/album/repair', { path: item.filePath });
+      showToast(response.data.message, 'success');
+      setAlbumChecks(prev => ({ ...prev, [item.id]: { ...prev[item.id], repairQueued: true } }));
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to repair album', 'error');
+    }
+  };
+  
+  const renderAlbumCheck = (item) => {
+    const check = albumChecks[item.id];
+    if (!check) return null;
+    
+    if (check.loading) {
+      return <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: '#888' }}>Checking album...</div>;
+    }
+    
+    if (check.error) {
+      return <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: '#ef4444' }}>{check.error}</div>;
+    }
+    
+    if (check.complete) {
+      return (
+        <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: '#10b981' }}>
+          All {check.tracks.length} tracks present and readable
+        </div>
+      );
+    }
+    
+    return (
+      <div style={{ marginTop: '0.5rem', fontSize: '0.8rem' }}>
+        <div style={{ color: '#eab308', marginBottom: '0.25rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          {check.missing} missing, {check.corrupt} corrupt
+          <button
+            onClick={() => repairAlbum(item)}
+            disabled={check.repairQueued}
+            className="btn btn-secondary"
+            style={{ padding: '0.25rem 0.5rem', fontSize: '0.8rem' }}
+          >
+            <Wrench size={12} />
+            {check.repairQueued ? 'Repair queued' : 'Repair'}
+          </button>
+        </div>
+        {check.tracks.filter(track => track.status !== 'ok').map((track) => (
+          <div key={track.id} style={{ color: '#888' }}>
+            {String(track.trackNumber).padStart(2, '0')} - {track.title}
+            <span style={{ color: '#666' }}> • {track.status === 'missing' ? 'Missing' : track.problem}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+  
+  // e.g. "FLAC 24-bit/96kHz" or "MPEG 1 Layer 3 320kbps"
+  const formatDelivered = (format) => {
+    if (format.lossless && format.bitDepth && format.sampleRate) {
+      return `${format.codec} ${format.bitDepth}-bit/${format.sampleRate / 1000}kHz`;
+    }
+    return format.bitrate ? `${format.codec} ${Math.round(format.bitrate / 1000)}kbps` : format.codec;
+  };
+  
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     const now = new Date();
@@ -59,14 +144,28 @@ const HistoryPage = () => {
         return <CheckCircle size={16} style={{ color: '#10b981' }} />;
       case 'failed':
         return <AlertCircle size={16} style={{ color: '#ef4444' }} />;
+      case 'cancelled':
+        return <X size={16} style={{ color: '#888' }} />;
       default:
         return <Clock size={16} style={{ color: '#888' }} />;
     }
   };
 
+  const getStatusLabel = (status) => {
+    switch (status) {
+      case 'completed':
+        return 'Completed';
+      case 'cancelled':
+        return 'Cancelled';
+      default:
+        return 'Failed';
+    }
+  };
+
   const filteredHistory = history.filter(item => {
     if (filter === 'completed') return item.status === 'completed';
     if (filter === 'failed') return item.status === 'failed';
+    if (filter === 'cancelled') return item.status === 'cancelled';
     return true;
   });
 
@@ -125,6 +224,7 @@ const HistoryPage = () => {
               <option value="all">All Downloads</option>
               <option value="completed">Completed Only</option>
               <option value="failed">Failed Only</option>
+              <option value="cancelled">Cancelled Only</option>
             </select>
           </div>
 
@@ -173,12 +273,18 @@ const HistoryPage = () => {
                     <div className="download-status" style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginTop: '0.5rem' }}>
                       <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
                         {getStatusIcon(item.status)}
-                        {item.status === 'completed' ? 'Completed' : 'Failed'}
+                        {getStatusLabel(item.status)}
                       </span>
                       
                       {item.quality && (
                         <span style={{ color: '#888', fontSize: '0.9rem' }}>
-                          {item.quality}
+                          {item.upgradedFrom ? `${item.upgradedFrom} → ${item.quality}` : item.quality}
+                        </span>
+                      )}
+
+                      {item.delivered && (
+                        <span style={{ color: item.qualityWarning ? '#eab308' : '#666', fontSize: '0.8rem' }}>
+                          {formatDelivered(item.delivered)}
                         </span>
                       )}
                       
@@ -195,9 +301,57 @@ const HistoryPage = () => {
                         })}
                       </span>
                     </div>
+                    
+                    {item.qualityWarning && (
+                      <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: '#eab308' }}>
+                        {item.qualityWarning}
+                      </div>
+                    )}
+                    
+                    {item.failedTracks?.length > 0 && (
+                      <div style={{ marginTop: '0.5rem', fontSize: '0.8rem' }}>
+                        <div style={{ color: '#ef4444', marginBottom: '0.25rem' }}>
+                          {item.failedTracks.length} failed track{item.failedTracks.length === 1 ? '' : 's'}:
+                        </div>
+                        {item.failedTracks.map((track) => (
+                          <div key={track.id} style={{ color: '#888' }}>
+                            {String(track.trackNumber).padStart(2, '0')} - {track.title}
+                            {track.error && (
+                              <span style={{ color: '#666' }}> • {track.error}</span>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    
+                    {renderAlbumCheck(item)}
                   </div>
                   
                   <div className="download-actions">
+                    {item.failedTracks?.length > 0 && item.albumId && !item.upgradedFrom && (
+                      <button
+                        onClick={() => retryFailedTracks(item)}
+                        disabled={retrying[item.id]}
+                        className="btn btn-primary"
+                        style={{ padding: '0.5rem 1rem', fontSize: '0.9rem' }}
+                      >
+                        <RotateCw size={14} />
+                        {retrying[item.id] ? 'Retry queued' : 'Retry failed tracks'}
+                      </button>
+                    )}
+                    
+                    {item.type === 'album' && item.filePath && item.status === 'completed' && (
+                      <button
+                        onClick={() => checkAlbum(item)}
+                        className="btn btn-secondary"
+                        style={{ padding: '0.5rem 1rem', fontSize: '0.9rem' }}
+                        title="Check the album folder for missing or damaged tracks"
+                      >
+                        <ShieldCheck size={14} />
+                        Check
+                      </button>
+                    )}
+                    
                     {item.status === 'completed' && item.filePath && (
                       <button 
                         className="btn btn-secondary"
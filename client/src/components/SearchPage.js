@@ -34,7 +34,12 @@ const SearchPage = ({ onDownload, showToast }) => {
       console.log('Search results:', response.data);
       setResults(response.data);
     } catch (error) {
-      showToast('Search failed. Please try again.', 'error');
+      showToast(
+        error.response?.status === 503 
+          ? 'Search failed: the music provider is unavailable right now.' 
+          : 'Search failed. Please try again.', 
+        'error'
+      );
       console.error('Search error:', error);
     } finally {
       setLoading(false);
@@ -71,12 +76,16 @@ const SearchPage = ({ onDownload, showToast }) => {
 
       console.log('Downloading track with data:', trackData);
 
-      await axios.post('/api/download/track', {
+      const response = await axios.post('/api/download/track', {
         trackId: track.id,
         quality: quality,
         trackData: trackData
       });
-      showToast('Track download started!', 'success');
+      if (response.data.skipped) {
+        showToast(response.data.message, 'info');
+      } else {
+        showToast('Track download started!', 'success');
+      }
     } catch (error) {
       const errorMessage = error.response?.data?.error || 'Download failed';
       console.error('Download error:', error);
@@ -1,5 +1,15 @@
-import React, { useState } from 'react';
-import { Settings, Download, Folder, Music, Info, Server } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Settings, Download, Folder, Music, Info, Server, Gauge, Plus, Trash2, ArrowUpCircle, Search } from 'lucide-react';
+
+// Rate limits are stored in bytes per second and edited in MB/s
+const BYTES_PER_MB = 1024 * 1024;
+const toMBps = (bytes) => (bytes ? String(Math.round((bytes / BYTES_PER_MB) * 100) / 100) : '0');
+const toBytes = (mbps) => Math.round((parseFloat(mbps) || 0) * BYTES_PER_MB);
+const toBandwidthForm = (bandwidth) => ({
+  limit: toMBps(bandwidth?.limit),
+  schedule: (bandwidth?.schedule || []).map(rule => ({ ...rule, limit: toMBps(rule.limit) }))
+});
 
 const SettingsPage = () => {
   const [settings, setSettings] = useState({
@@ -9,6 +19,57 @@ const SettingsPage = () => {
     createAlbumFolders: true
   });
 
+  const [bandwidth, setBandwidth] = useState({ limit: '0', schedule: [] });
+  const [currentLimit, setCurrentLimit] = useState(0);
+  const [downloadWindow, setDownloadWindow] = useState({ enabled: false, start: '00:00', end: '06:00' });
+  const [failOnLowerQuality, setFailOnLowerQuality] = useState(false);
+  const [minFreeSpace, setMinFreeSpace] = useState('1024');
+  const [upgradeScan, setUpgradeScan] = useState(null);
+  const [scanning, setScanning] = useState(false);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await axios.get('/api/settings');
+        setBandwidth(toBandwidthForm(response.data.bandwidth));
+        setCurrentLimit(response.data.currentBandwidthLimit || 0);
+        if (response.data.downloadWindow) {
+          setDownloadWindow({ enabled: true, ...response.data.downloadWindow });
+        }
+        if (response.data.defaultQuality) {
+          setSettings(prev => ({ ...prev, defaultQuality: response.data.defaultQuality }));
+        }
+        setFailOnLowerQuality(!!response.data.failOnLowerQuality);
+        setMinFreeSpace(String(response.data.minFreeSpaceMB ?? 1024));
+      } catch (error) {
+        console.error('Failed to load settings:', error);
+      }
+    };
+
+    fetchSettings();
+  }, []);
+
+  const updateScheduleRule = (index, key, value) => {
+    setBandwidth(prev => ({
+      ...prev,
+      schedule: prev.schedule.map((rule, i) => (i === index ? { ...rule, [key]: value } : rule))
+    }));
+  };
+
+  const addScheduleRule = () => {
+    setBandwidth(prev => ({
+      ...prev,
+      schedule: [...prev.schedule, { start: '01:00', end: '07:00', limit: '0' }]
+    }));
+  };
+
+  const removeScheduleRule = (index) => {
+    setBandwidth(prev => ({
+      ...prev,
+      schedule: prev.schedule.filter((rule, i) => i !== index)
+    }));
+  };
+
   const qualityOptions = [
     { value: 5, label: 'MP3 320k', description: 'High quality MP3 format' },
     { value: 6, label: 'CD Quality', description: '16-bit/44.1kHz FLAC' },
@@ -16,6 +77,32 @@ const SettingsPage = () => {
     { value: 27, label: 'Hi-Res 192kHz', description: '24-bit/192kHz FLAC (Premium)' }
   ];
 
+  const scanForUpgrades = async () => {
+    setScanning(true);
+    try {
+      const response = await axios.get('/api/library/upgrades', { params: { quality: settings.defaultQuality } });
+      setUpgradeScan(response.data);
+    } catch (error) {
+      alert(`Library scan failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setScanning(false);
+    }
+  };
+  
+  const startUpgrades = async () => {
+    try {
+      const response = await axios.post('/api/library/upgrade', {
+        quality: upgradeScan.quality,
+        paths: upgradeScan.albums.filter(album => !album.queued).map(album => album.path)
+      });
+      const skipped = response.data.skipped.map(album => `${album.title}: ${album.reason}`);
+      alert([response.data.message, ...skipped].join('\n'));
+      scanForUpgrades();
+    } catch (error) {
+      alert(`Failed to start upgrades: ${error.response?.data?.error || error.message}`);
+    }
+  };
+  
   const handleSettingChange = (key, value) => {
     setSettings(prev => ({
       ...prev,
@@ -23,11 +110,29 @@ const SettingsPage = () => {
     }));
   };
 
-  const handleSave = () => {
-    // In a real app, this would save to backend
-    console.log('Saving settings:', settings);
-    // Show success toast
-    alert('Settings saved! Restart the container to apply all changes.');
+  const handleSave = async () => {
+    // The server saves these settings and applies them straight away
+    try {
+      const response = await axios.put('/api/settings', {
+        bandwidth: {
+          limit: toBytes(bandwidth.limit),
+          schedule: bandwidth.schedule.map(rule => ({ ...rule, limit: toBytes(rule.limit) }))
+        },
+        downloadWindow: downloadWindow.enabled 
+          ? { start: downloadWindow.start, end: downloadWindow.end } 
+          : null,
+        defaultQuality: settings.defaultQuality,
+        failOnLowerQuality,
+        minFreeSpaceMB: Number(minFreeSpace) || 0
+      });
+      setBandwidth(toBandwidthForm(response.data.bandwidth));
+      setCurrentLimit(response.data.currentBandwidthLimit || 0);
+    } catch (error) {
+      alert(`Failed to save settings: ${error.response?.data?.error || error.message}`);
+      return;
+    }
+    
+    alert('Settings saved! Bandwidth, download window, default quality, quality check and free space settings apply straight away.');
   };
 
   return (
@@ -67,6 +172,157 @@ const SettingsPage = () => {
                 {qualityOptions.find(q => q.value === settings.defaultQuality)?.description}
               </p>
             </div>
+
+            <div>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#ccc', marginBottom: '0.5rem', fontWeight: '600' }}>
+                <input
+                  type="checkbox"
+                  checked={failOnLowerQuality}
+                  onChange={(e) => setFailOnLowerQuality(e.target.checked)}
+                />
+                Fail Downloads Below the Requested Quality
+              </label>
+              <p style={{ color: '#888', fontSize: '0.9rem', marginTop: '0.25rem' }}>
+                Every download is checked for the codec, bit depth and sample rate actually received.
+                Without this option a lower quality file is kept with a warning.
+              </p>
+            </div>
+
+            <div>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#ccc', marginBottom: '0.5rem', fontWeight: '600' }}>
+                <input
+                  type="checkbox"
+                  checked={downloadWindow.enabled}
+                  onChange={(e) => setDownloadWindow(prev => ({ ...prev, enabled: e.target.checked }))}
+                />
+                Only Start Downloads Between
+              </label>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#ccc' }}>
+                <input
+                  type="time"
+                  value={downloadWindow.start}
+                  disabled={!downloadWindow.enabled}
+                  onChange={(e) => setDownloadWindow(prev => ({ ...prev, start: e.target.value }))}
+                  className="search-input"
+                  style={{ padding: '0.5rem' }}
+                />
+                <span>and</span>
+                <input
+                  type="time"
+                  value={downloadWindow.end}
+                  disabled={!downloadWindow.enabled}
+                  onChange={(e) => setDownloadWindow(prev => ({ ...prev, end: e.target.value }))}
+                  className="search-input"
+                  style={{ padding: '0.5rem' }}
+                />
+              </div>
+              <p style={{ color: '#888', fontSize: '0.9rem', marginTop: '0.25rem' }}>
+                Downloads added outside these hours stay scheduled until the window opens.
+              </p>
+            </div>
+
+            <div>
+              <label style={{ display: 'block', color: '#ccc', marginBottom: '0.5rem', fontWeight: '600' }}>
+                Minimum Free Disk Space (MB)
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={minFreeSpace}
+                onChange={(e) => setMinFreeSpace(e.target.value)}
+                className="search-input"
+                style={{ width: '100%', padding: '0.75rem' }}
+              />
+              <p style={{ color: '#888', fontSize: '0.9rem', marginTop: '0.25rem' }}>
+                Downloads wait in the queue while they would leave less than this free in the temp or music folder.
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Bandwidth Settings */}
+        <div className="card">
+          <h2 style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1.5rem', color: '#ffffff' }}>
+            <Gauge size={20} />
+            Bandwidth
+          </h2>
+          
+          <div style={{ display: 'grid', gap: '1.5rem' }}>
+            <div>
+              <label style={{ display: 'block', color: '#ccc', marginBottom: '0.5rem', fontWeight: '600' }}>
+                Download Speed Limit (MB/s)
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={bandwidth.limit}
+                onChange={(e) => setBandwidth(prev => ({ ...prev, limit: e.target.value }))}
+                className="search-input"
+                style={{ width: '100%', padding: '0.75rem' }}
+              />
+              <p style={{ color: '#888', fontSize: '0.9rem', marginTop: '0.25rem' }}>
+                Shared by all running downloads. 0 means unlimited.
+                {' '}Currently {currentLimit > 0 ? `${toMBps(currentLimit)} MB/s` : 'unlimited'}.
+              </p>
+            </div>
+
+            <div>
+              <label style={{ display: 'block', color: '#ccc', marginBottom: '0.5rem', fontWeight: '600' }}>
+                Schedule
+              </label>
+              <p style={{ color: '#888', fontSize: '0.9rem', marginBottom: '0.75rem' }}>
+                Use a different limit during these hours, e.g. unlimited from 01:00 to 07:00. The first matching rule applies.
+              </p>
+              
+              {bandwidth.schedule.map((rule, index) => (
+                <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.5rem', color: '#ccc' }}>
+                  <input
+                    type="time"
+                    value={rule.start}
+                    onChange={(e) => updateScheduleRule(index, 'start', e.target.value)}
+                    className="search-input"
+                    style={{ padding: '0.5rem' }}
+                  />
+                  <span>to</span>
+                  <input
+                    type="time"
+                    value={rule.end}
+                    onChange={(e) => updateScheduleRule(index, 'end', e.target.value)}
+                    className="search-input"
+                    style={{ padding: '0.5rem' }}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={rule.limit}
+                    onChange={(e) => updateScheduleRule(index, 'limit', e.target.value)}
+                    className="search-input"
+                    style={{ padding: '0.5rem', width: '6rem' }}
+                  />
+                  <span>MB/s</span>
+                  <button 
+                    onClick={() => removeScheduleRule(index)}
+                    className="btn btn-secondary"
+                    title="Remove rule"
+                    style={{ padding: '0.5rem' }}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+              
+              <button 
+                onClick={addScheduleRule}
+                className="btn btn-secondary"
+                style={{ padding: '0.5rem 1rem' }}
+              >
+                <Plus size={14} />
+                Add rule
+              </button>
+            </div>
           </div>
         </div>
 
@@ -216,6 +472,72 @@ const SettingsPage = () => {
           </div>
         </div>
 
+        {/* Library Upgrades */}
+        <div className="card">
+          <h2 style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1.5rem', color: '#ffffff' }}>
+            <ArrowUpCircle size={20} />
+            Library Upgrades
+          </h2>
+          
+          <div style={{ display: 'grid', gap: '1rem' }}>
+            <p style={{ color: '#888', fontSize: '0.9rem' }}>
+              Find albums stored below {qualityOptions.find(q => q.value === settings.defaultQuality)?.label} and
+              download them again. The old files are only replaced once the new album has downloaded completely and passed its check.
+            </p>
+            
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <button
+                onClick={scanForUpgrades}
+                disabled={scanning}
+                className="btn btn-secondary"
+                style={{ padding: '0.5rem 1rem' }}
+              >
+                <Search size={14} />
+                {scanning ? 'Scanning...' : 'Scan library'}
+              </button>
+              
+              {upgradeScan?.albums.some(album => !album.queued) && (
+                <button
+                  onClick={startUpgrades}
+                  className="btn btn-primary"
+                  style={{ padding: '0.5rem 1rem' }}
+                >
+                  <ArrowUpCircle size={14} />
+                  Upgrade {upgradeScan.albums.filter(album => !album.queued).length} albums
+                </button>
+              )}
+            </div>
+            
+            {upgradeScan && (
+              <div style={{ display: 'grid', gap: '0.25rem', fontSize: '0.9rem' }}>
+                {upgradeScan.albums.length === 0 && (
+                  <span style={{ color: '#888' }}>Every album is already in {upgradeScan.qualityName} or better.</span>
+                )}
+                {upgradeScan.albums.map(album => (
+                  <div key={album.path} style={{ display: 'flex', justifyContent: 'space-between', color: '#ccc' }}>
+                    <span>{album.artist} - {album.title}</span>
+                    <span style={{ color: '#888' }}>
+                      {album.qualityName} → {album.targetQualityName}{album.queued ? ' • upgrade queued' : ''}
+                    </span>
+                  </div>
+                ))}
+                {upgradeScan.unidentified.length > 0 && (
+                  <span style={{ color: '#888', marginTop: '0.5rem' }}>
+                    {upgradeScan.unidentified.length} lower quality album folder{upgradeScan.unidentified.length === 1 ? '' : 's'} could
+                    not be matched to the catalog by download history or tags.
+                  </span>
+                )}
+                {upgradeScan.unavailable?.length > 0 && (
+                  <span style={{ color: '#eab308' }}>
+                    {upgradeScan.unavailable.length} album{upgradeScan.unavailable.length === 1 ? '' : 's'} could not be looked
+                    up in the catalog: {upgradeScan.unavailable[0].reason}
+                  </span>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+        
         {/* System Information */}
         <div className="card">
           <h2 style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1.5rem', color: '#ffffff' }}>
@@ -2,25 +2,127 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const WebSocket = require('ws');
 const http = require('http');
 const ffmpeg = require('fluent-ffmpeg');
+const downloadQueue = require('./services/downloadQueue');
+const transferService = require('./services/transferService');
+const bandwidthLimiter = require('./services/bandwidthLimiter');
+const { isValidWindow, nextWindowStart } = require('./services/timeWindow');
+const manifestService = require('./services/manifestService');
+const libraryService = require('./services/libraryService');
+const qualityService = require('./services/qualityService');
+const qobuzService = require('./services/qobuzService');
+const catalog = require('./services/catalogService');
+const providerHealth = require('./services/providerHealth');
+const catalogCache = require('./services/catalogCache');
+const upstreamScheduler = require('./services/upstreamScheduler');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 const PORT = process.env.PORT || 7277;
 
-// API base URL - using qobuz-proxy
-const API_BASE_URL = 'https://qobuz-proxy.authme.workers.dev/api';
+// Number of tracks downloaded at the same time within one album job
+const ALBUM_TRACK_CONCURRENCY = Math.max(1, parseInt(process.env.ALBUM_TRACK_CONCURRENCY) || 2);
 
 // Active downloads tracking
 const activeDownloads = new Map();
 
-// Download history storage - use internal app directory
+// History, queue and settings are kept in the internal app directory unless DATA_PATH is set
+const dataDir = process.env.DATA_PATH || path.join(__dirname, 'data');
+
+// Download history storage
 let downloadHistory = [];
-const historyFilePath = path.join(__dirname, 'data', 'download_history.json');
+const historyFilePath = path.join(dataDir, 'download_history.json');
+
+// Unfinished queue storage, restored on startup
+const queueFilePath = path.join(dataDir, 'download_queue.json');
+
+// Shared limits for every request to the upstream: requests per second, and how many failures in a row
+// pause all requests, and for how many seconds
+upstreamScheduler.configure({
+  requestsPerSecond: Math.max(0, parseFloat(process.env.UPSTREAM_REQUESTS_PER_SECOND ?? '2') || 0),
+  failureThreshold: Math.max(1, parseInt(process.env.UPSTREAM_FAILURE_THRESHOLD) || 5),
+  cooldownSeconds: Math.max(1, parseInt(process.env.UPSTREAM_COOLDOWN) || 60)
+});
+
+// Recent searches and albums, kept for CATALOG_CACHE_TTL seconds and also saved to disk with CATALOG_CACHE_DISK=true
+catalogCache.configure({
+  ttlSeconds: Math.max(0, parseInt(process.env.CATALOG_CACHE_TTL ?? '600') || 0),
+  maxEntries: Math.max(0, parseInt(process.env.CATALOG_CACHE_SIZE ?? '200') || 0),
+  filePath: process.env.CATALOG_CACHE_DISK === 'true' ? path.join(dataDir, 'catalog_cache.json') : null
+});
+
+// Settings editable from the web UI, persisted next to the history
+const settingsFilePath = path.join(dataDir, 'settings.json');
+let settings = {
+  bandwidth: {
+    // Bytes per second, 0 means unlimited
+    limit: (parseInt(process.env.BANDWIDTH_LIMIT_KBPS) || 0) * 1024,
+    schedule: []
+  },
+  // Daily hours in which queued downloads may start, e.g. { start: '00:00', end: '06:00' }, or null for any time
+  downloadWindow: parseDownloadWindow(process.env.DOWNLOAD_WINDOW),
+  // Quality new downloads default to; library albums below it can be upgraded
+  defaultQuality: 7,
+  // Fail downloads the upstream delivers below the requested quality instead of only warning
+  failOnLowerQuality: false,
+  // Free space in MB that downloads must leave on the temp and library disks
+  minFreeSpaceMB: Math.max(0, parseInt(process.env.MIN_FREE_SPACE_MB ?? '1024') || 0)
+};
+
+// Parse "HH:MM-HH:MM" into a window, or null if it is not set or invalid
+function parseDownloadWindow(value) {
+  const [start, end] = (value || '').split('-');
+  if (isValidWindow({ start, end })) {
+    return { start, end };
+  }
+  if (value) {
+    console.log(`Ignoring DOWNLOAD_WINDOW "${value}": it needs different start and end times, e.g. 00:00-06:00`);
+  }
+  return null;
+}
+
+// Load saved settings over the defaults and apply them
+async function loadSettings() {
+  try {
+    if (await fs.pathExists(settingsFilePath)) {
+      const saved = JSON.parse(await fs.readFile(settingsFilePath, 'utf8'));
+      settings = {
+        ...settings,
+        ...saved,
+        bandwidth: { ...settings.bandwidth, ...saved.bandwidth }
+      };
+      // A window saved before it was checked for being empty is dropped
+      if (settings.downloadWindow && !isValidWindow(settings.downloadWindow)) {
+        settings.downloadWindow = null;
+      }
+      console.log(`Loaded settings from ${settingsFilePath}`);
+    }
+  } catch (error) {
+    console.log('Could not load settings, using defaults:', error.message);
+  }
+  
+  bandwidthLimiter.configure(settings.bandwidth);
+}
+
+async function saveSettings() {
+  try {
+    await fs.ensureDir(path.dirname(settingsFilePath));
+    const tempPath = `${settingsFilePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(settings, null, 2));
+    await fs.move(tempPath, settingsFilePath, { overwrite: true });
+  } catch (error) {
+    if (error.code === 'ENOSPC') {
+      console.log('No disk space to save settings. Changes will be lost on restart.');
+    } else {
+      console.error('Could not save settings:', error.message);
+    }
+  }
+}
 
 // Load download history on startup
 async function loadDownloadHistory() {
@@ -66,6 +168,70 @@ async function saveDownloadHistory() {
   }
 }
 
+// Save queued and running jobs so they survive a restart
+let queueSaveChain = Promise.resolve();
+function saveDownloadQueue() {
+  const jobs = [...downloadQueue.running.values(), ...downloadQueue.pending];
+  
+  // Serialise writes so an older snapshot never overwrites a newer one
+  queueSaveChain = queueSaveChain.then(async () => {
+    try {
+      await fs.ensureDir(path.dirname(queueFilePath));
+      const tempPath = `${queueFilePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(jobs, null, 2));
+      await fs.move(tempPath, queueFilePath, { overwrite: true });
+    } catch (error) {
+      if (error.code === 'ENOSPC') {
+        console.log('No disk space to save download queue. Queue will not survive a restart.');
+      } else {
+        console.error('Could not save download queue:', error.message);
+      }
+    }
+  });
+  
+  return queueSaveChain;
+}
+
+// Re-enqueue jobs that were queued or running when the server stopped
+async function restoreDownloadQueue() {
+  let jobs = [];
+  
+  try {
+    if (await fs.pathExists(queueFilePath)) {
+      jobs = JSON.parse(await fs.readFile(queueFilePath, 'utf8'));
+    }
+  } catch (error) {
+    console.log('Could not load download queue:', error.message);
+    jobs = [];
+  }
+  
+  // Remove staging folders and temp files that no restored job will pick up again
+  const tempDir = process.env.TEMP_PATH || '/app/temp';
+  const restoredIds = new Set(jobs.map(job => job.id));
+  try {
+    if (await fs.pathExists(tempDir)) {
+      for (const entry of await fs.readdir(tempDir)) {
+        const stagingMatch = entry.match(/^(?:album|track)_(.+)$/);
+        const jobId = stagingMatch ? stagingMatch[1] : path.parse(entry).name;
+        if (!restoredIds.has(jobId) && (stagingMatch || entry.startsWith('download-'))) {
+          await fs.remove(path.join(tempDir, entry));
+          console.log(`Removed orphaned temp entry: ${entry}`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Could not clean up temp directory:', error.message);
+  }
+  
+  if (jobs.length === 0) return;
+  
+  console.log(`Resuming ${jobs.length} unfinished download(s) from previous run`);
+  // Jobs that were waiting for disk space get checked again when they start
+  for (const job of jobs) {
+    enqueueDownload({ ...job, heldReason: undefined, resumed: true }, { keepOrder: true });
+  }
+}
+
 // Add item to download history
 function addToHistory(downloadInfo, track, album) {
   const historyItem = {
@@ -84,6 +250,34 @@ function addToHistory(downloadInfo, track, album) {
     duration: downloadInfo.endTime && downloadInfo.startTime ? 
       Math.round((new Date(downloadInfo.endTime) - new Date(downloadInfo.startTime)) / 1000) : null
   };
+
+  // What the upstream actually sent, which can be less than what was asked for (lowest track for albums)
+  if (downloadInfo.delivered) {
+    historyItem.delivered = downloadInfo.delivered;
+    historyItem.deliveredQuality = getQualityName(downloadInfo.deliveredQuality);
+  }
+  if (downloadInfo.qualityWarning) {
+    historyItem.qualityWarning = downloadInfo.qualityWarning;
+  }
+  // How often an expired download URL had to be requested again
+  if (downloadInfo.urlRefreshes > 0) {
+    historyItem.urlRefreshes = downloadInfo.urlRefreshes;
+  }
+  
+  // Albums keep what is needed to retry the tracks that did not make it
+  if (historyItem.type === 'album') {
+    historyItem.albumId = downloadInfo.albumId;
+    historyItem.qualityId = downloadInfo.quality;
+    historyItem.failedTracks = (downloadInfo.tracks || [])
+      .filter(entry => entry.status === 'failed')
+      .map(({ id, title, trackNumber, error }) => ({ id, title, trackNumber, error }));
+    if (downloadInfo.retryOf) {
+      historyItem.retryOf = downloadInfo.retryOf;
+    }
+    if (downloadInfo.upgradeFrom) {
+      historyItem.upgradedFrom = downloadInfo.upgradeFrom;
+    }
+  }
   
   console.log(`Adding to history:`, JSON.stringify(historyItem, null, 2));
   
@@ -101,6 +295,65 @@ function addToHistory(downloadInfo, track, album) {
   console.log(`Added to history: ${historyItem.title} by ${historyItem.artist}`);
 }
 
+// Quality IDs from lowest to highest
+const QUALITY_ORDER = [5, 6, 7, 27];
+
+function isHigherQuality(qualityId, thanQualityId) {
+  return QUALITY_ORDER.indexOf(Number(qualityId)) > QUALITY_ORDER.indexOf(Number(thanQualityId));
+}
+
+// The best quality up to the wanted one that the catalog offers for an album
+function getBestAvailableQuality(album, wantedQuality) {
+  const available = qualityService.getAvailableQualityId(album);
+  return isHigherQuality(wantedQuality, available) ? available : Number(wantedQuality);
+}
+
+// The quality a download was checked against, for messages: the requested one, or the best the catalog offers
+function describeExpectedQuality(expected, requested) {
+  return Number(expected) === Number(requested)
+    ? `the requested ${getQualityName(expected)}`
+    : `${getQualityName(expected)}, the best the catalog offers`;
+}
+
+// Read the format of a downloaded file and compare it with the quality that was asked for, as far as
+// the catalog offers it. Falling short gives a warning, or an error that is not worth retrying when
+// failOnLowerQuality is set.
+async function verifyDeliveredQuality(filePath, quality, track, album) {
+  const expected = getBestAvailableQuality(track?.maximum_bit_depth ? track : (album || {}), quality);
+  const result = { ...await qualityService.check(filePath, expected), expectedQuality: expected };
+  
+  if (result.error) {
+    console.log(`Could not verify delivered quality: ${result.error}`);
+    return result;
+  }
+  
+  console.log(`Delivered: ${qualityService.describe(result.delivered)}`);
+  if (result.belowExpected) {
+    result.warning = `Delivered ${qualityService.describe(result.delivered)}, lower than ${describeExpectedQuality(expected, quality)}`;
+    console.warn(`Quality warning: ${result.warning}`);
+    
+    if (settings.failOnLowerQuality) {
+      const error = new Error(result.warning);
+      error.retryable = false;
+      throw error;
+    }
+  }
+  
+  return result;
+}
+
+// Note the delivered format on a download or album track entry
+function recordQualityCheck(target, qualityCheck) {
+  if (!qualityCheck?.delivered) return;
+  
+  target.delivered = qualityCheck.delivered;
+  target.deliveredQuality = qualityCheck.deliveredQuality;
+  if (qualityCheck.warning) {
+    target.qualityWarning = qualityCheck.warning;
+    target.expectedQuality = qualityCheck.expectedQuality;
+  }
+}
+
 function getQualityName(qualityId) {
   const qualityMap = {
     5: 'MP3 320k',
@@ -138,6 +391,9 @@ wss.on('connection', (ws) => {
   });
 });
 
+// Clients see the provider status as soon as each check finishes
+providerHealth.setChangeHandler(status => broadcast({ type: 'provider_status', data: status }));
+
 function broadcast(data) {
   clients.forEach(client => {
     if (client.readyState === WebSocket.OPEN) {
@@ -151,88 +407,182 @@ app.get('/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
-// Search for music using qobuz-proxy API
-app.get('/api/search', async (req, res) => {
-  try {
-    const { query, type = 'albums', limit = 25 } = req.query;
-    
-    if (!query) {
-      return res.status(400).json({ error: 'Query parameter is required' });
+// Current settings, plus the rate limit that applies right now
+app.get('/api/settings', (req, res) => {
+  res.json({
+    ...settings,
+    currentBandwidthLimit: bandwidthLimiter.getCurrentLimit()
+  });
+});
+
+// Update settings - only the sections present in the body are changed
+app.put('/api/settings', async (req, res) => {
+  const { bandwidth, downloadWindow, defaultQuality, failOnLowerQuality, minFreeSpaceMB } = req.body;
+  
+  if (downloadWindow !== undefined) {
+    if (downloadWindow !== null && !isValidWindow(downloadWindow)) {
+      return res.status(400).json({ error: 'Download window needs different start and end times in HH:MM format' });
     }
+  }
+  
+  if (defaultQuality !== undefined && !QUALITY_ORDER.includes(Number(defaultQuality))) {
+    return res.status(400).json({ error: `Quality must be one of: ${QUALITY_ORDER.join(', ')}` });
+  }
 
-    console.log(`Searching for: "${query}" (type: ${type})`);
+  if (minFreeSpaceMB !== undefined && !(Number(minFreeSpaceMB) >= 0)) {
+    return res.status(400).json({ error: 'Minimum free space must be a number of MB, 0 or more' });
+  }
+  
+  if (bandwidth) {
+    const schedule = bandwidth.schedule ?? settings.bandwidth.schedule;
+    const updated = {
+      limit: Number(bandwidth.limit ?? settings.bandwidth.limit),
+      schedule: Array.isArray(schedule) 
+        ? schedule.map(rule => ({ start: rule?.start, end: rule?.end, limit: Number(rule?.limit) })) 
+        : schedule
+    };
     
-    // Use different endpoints based on search type
-    let searchUrl;
-    if (type === 'tracks') {
-      searchUrl = `${API_BASE_URL}/search?query=${encodeURIComponent(query)}&type=tracks&limit=${limit}`;
-    } else {
-      searchUrl = `${API_BASE_URL}/get-music?q=${encodeURIComponent(query)}&limit=${limit}`;
+    const error = bandwidthLimiter.validate(updated);
+    if (error) {
+      return res.status(400).json({ error });
     }
     
-    console.log(`API call: ${searchUrl}`);
+    settings.bandwidth = updated;
+    bandwidthLimiter.configure(settings.bandwidth);
+  }
+  
+  if (downloadWindow !== undefined) {
+    settings.downloadWindow = downloadWindow && { start: downloadWindow.start, end: downloadWindow.end };
     
-    const response = await fetch(searchUrl);
-    const results = await response.json();
+    // Jobs waiting for the window may be able to start now, or have to wait longer
+    downloadQueue.notifyChange();
+    downloadQueue.processNext();
+  }
+  
+  if (defaultQuality !== undefined) {
+    settings.defaultQuality = Number(defaultQuality);
+  }
+
+  if (failOnLowerQuality !== undefined) {
+    settings.failOnLowerQuality = !!failOnLowerQuality;
+  }
+
+  if (minFreeSpaceMB !== undefined) {
+    settings.minFreeSpaceMB = Number(minFreeSpaceMB);
     
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
+    // Jobs waiting for disk space are checked again against the new reserve
+    downloadQueue.releaseHeld();
+  }
+  
+  await saveSettings();
+  
+  res.json({
+    ...settings,
+    currentBandwidthLimit: bandwidthLimiter.getCurrentLimit()
+  });
+});
+
+// Answer a failed catalog call - 503 when the provider can't be reached, so clients can tell an
+// outage from a problem with the request
+function sendCatalogError(res, error, message) {
+  if (error.unavailable) {
+    return res.status(503).json({ error: 'Provider unavailable', details: error.message, provider: catalog.name });
+  }
+  res.status(error.status === 404 ? 404 : 500).json({ error: message, details: error.message });
+}
+
+// Circuit breaker state and Retry-After hold for requests to the upstream
+app.get('/api/upstream/status', (req, res) => {
+  res.json(upstreamScheduler.getStatus());
+});
+
+// Close the circuit breaker by hand, e.g. once the upstream is known to be back
+app.post('/api/upstream/reset', (req, res) => {
+  upstreamScheduler.close();
+  res.json(upstreamScheduler.getStatus());
+});
+
+// Whether the catalog provider answered its last check, and how quickly
+app.get('/api/provider/status', (req, res) => {
+  res.json(providerHealth.getStatus());
+});
+
+// Check the catalog provider right away
+app.post('/api/provider/check', async (req, res) => {
+  res.json(await providerHealth.check());
+});
+
+// Catalog lookups go through the cache. Keys include the provider, so entries saved while using
+// another provider are not used.
+function searchCatalog(query, { type, limit }) {
+  const key = `${catalog.name}:search:${type}:${limit}:${query.trim().toLowerCase()}`;
+  return catalogCache.get(key, 'search', () => catalog.search(query, { type, limit }));
+}
+
+function getCatalogAlbum(albumId) {
+  return catalogCache.get(`${catalog.name}:album:${albumId}`, 'album', () => catalog.getAlbum(albumId));
+}
+
+// What the catalog cache holds, and how often it saved a lookup
+app.get('/api/catalog/cache', (req, res) => {
+  res.json(catalogCache.getStatus());
+});
+
+// Empty the catalog cache, or only its search or album entries with ?type=
+app.delete('/api/catalog/cache', (req, res) => {
+  const { type } = req.query;
+  if (type && !['search', 'album'].includes(type)) {
+    return res.status(400).json({ error: 'type must be search or album' });
+  }
+  
+  const removed = catalogCache.clear(type);
+  console.log(`Cleared ${removed} catalog cache entries${type ? ` (${type})` : ''}`);
+  res.json({ removed, ...catalogCache.getStatus() });
+});
+
+// Search the catalog for albums or tracks
+app.get('/api/search', async (req, res) => {
+  try {
+    const { query, type = 'albums', limit = 25 } = req.query;
+    
+    if (!query) {
+      return res.status(400).json({ error: 'Query parameter is required' });
     }
     
-    console.log(`Albums found: ${results.albums?.items?.length || 0}`);
-    console.log(`Tracks found: ${results.tracks?.items?.length || 0}`);
+    console.log(`Searching for: "${query}" (type: ${type})`);
     
-    // Ensure proper response format based on type requested
-    let searchResults;
-    if (type === 'tracks') {
-      searchResults = {
-        tracks: results.tracks || { items: [] },
-        albums: { items: [] }
-      };
-    } else {
-      searchResults = {
-        albums: results.albums || { items: [] },
-        tracks: results.tracks || { items: [] }
-      };
-    }
+    const results = await searchCatalog(query, { type, limit });
     
-    res.json(searchResults);
+    console.log(`Albums found: ${results.albums.items.length}`);
+    console.log(`Tracks found: ${results.tracks.items.length}`);
+    
+    res.json(results);
   } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ error: 'Search failed', details: error.message });
+    console.error('Search error:', error.message);
+    sendCatalogError(res, error, 'Search failed');
   }
 });
 
-// Get album details using qobuz-proxy API
+// Get album details from the catalog
 app.get('/api/album/:id', async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`Getting album: ${id}`);
     
-    const albumUrl = `${API_BASE_URL}/get-album?album_id=${id}`;
-    console.log(`API call: ${albumUrl}`);
-    
-    const response = await fetch(albumUrl);
+    const album = await getCatalogAlbum(id);
+    console.log(`Album data received for: ${album.title || 'Unknown Album'}`);
     
-    if (!response.ok) {
-      console.error(`API returned ${response.status}: ${response.statusText}`);
-      return res.status(500).json({ error: `API error: ${response.status}` });
-    }
-    
-    const albumData = await response.json();
-    console.log(`Album data received for: ${albumData.title || albumData.album?.title || 'Unknown Album'}`);
-    
-    res.json(albumData);
+    res.json(album);
   } catch (error) {
-    console.error('Album fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch album', details: error.message });
+    console.error('Album fetch error:', error.message);
+    sendCatalogError(res, error, 'Failed to fetch album');
   }
 });
 
-// Download track with qobuz-proxy API
+// Download a track - the file is fetched when the queue gets to it
 app.post('/api/download/track', async (req, res) => {
   try {
-    const { trackId, quality = 7, trackData } = req.body;
+    const { trackId, quality = 7, trackData, priority = 'normal', notBefore, onDuplicate = 'skip' } = req.body;
     
     console.log(`Download track request: trackId=${trackId}, quality=${quality}`);
     console.log(`Track data provided:`, !!trackData);
@@ -240,79 +590,108 @@ app.post('/api/download/track', async (req, res) => {
     if (!trackId) {
       return res.status(400).json({ error: 'Track ID is required' });
     }
-
-    // Use provided track data from search results
-    let track = trackData;
-    let album = trackData?.album;
-
-    console.log(`Track: "${track?.title}" by ${track?.performer?.name}`);
-    console.log(`Album: "${album?.title}" by ${album?.artist?.name}`);
-
-    const downloadUrl = `${API_BASE_URL}/download-music?track_id=${trackId}&quality=${quality}`;
-    console.log(`API call: ${downloadUrl}`);
-    
-    const response = await fetch(downloadUrl);
     
-    if (!response.ok) {
-      console.error(`API returned ${response.status}: ${response.statusText}`);
-      return res.status(500).json({ error: `Download failed: ${response.status}` });
+    if (!downloadQueue.isValidPriority(priority)) {
+      return res.status(400).json({ error: `Priority must be one of: ${downloadQueue.priorities.join(', ')}` });
     }
     
-    const data = await response.json();
-    console.log(`Download URL received`);
-    
-    if (!data.url) {
-      console.error('No download URL in response');
-      return res.status(500).json({ error: 'No download URL received' });
+    if (notBefore && isNaN(new Date(notBefore))) {
+      return res.status(400).json({ error: 'notBefore must be a date and time' });
+    }
+
+    if (!DUPLICATE_POLICIES.includes(onDuplicate)) {
+      return res.status(400).json({ error: `onDuplicate must be one of: ${DUPLICATE_POLICIES.join(', ')}` });
     }
     
-    console.log(`Got download URL, starting file download with metadata processing`);
+    // Use provided track data from search results, or look the track up if the catalog can
+    let track = trackData || await catalog.getTrack(trackId);
+    let album = track?.album;
     
-    const downloadId = 'download-' + Date.now();
+    console.log(`Track: "${track?.title}" by ${track?.performer?.name}`);
+    console.log(`Album: "${album?.title}" by ${album?.artist?.name}`);
+    
+    if (track && onDuplicate === 'skip') {
+      const existing = await libraryService.findTrack(
+        track,
+        album,
+        getAlbumFolderName(album, track.performer?.name || album?.artist?.name),
+        getTrackFileName(track, quality)
+      );
+      
+      if (existing) {
+        console.log(`Track already in library (matched by ${existing.matchedBy}): ${existing.filePath}`);
+        return res.json({
+          skipped: true,
+          message: 'Track is already in the library',
+          trackId: trackId,
+          existingPath: existing.filePath,
+          matchedBy: existing.matchedBy
+        });
+      }
+    }
     
-    // Start the download with track and album data
-    setImmediate(() => {
-      startFileDownloadWithProcessing(downloadId, trackId, data.url, quality, track, album);
+    const downloadId = createDownloadId('download');
+    
+    // Queue the download - the file URL is requested when the job starts
+    enqueueDownload({ 
+      id: downloadId, 
+      type: 'track', 
+      trackId, 
+      quality, 
+      track, 
+      album, 
+      priority, 
+      notBefore: notBefore ? new Date(notBefore).toISOString() : null,
+      onDuplicate
     });
     
-    res.json({ 
+    res.json({
       downloadId,
-      message: 'Download started',
+      skipped: false,
+      message: 'Download queued',
       trackId: trackId,
-      quality: quality
+      quality: quality,
+      queuePosition: downloadQueue.getPosition(downloadId),
+      scheduledStart: activeDownloads.get(downloadId)?.scheduledStart || null
     });
     
   } catch (error) {
     console.error('Track download error:', error);
-    res.status(500).json({ error: 'Download failed', details: error.message });
+    sendCatalogError(res, error, 'Download failed');
   }
 });
 
-// Download entire album using qobuz-proxy API
+// Download an entire album - its tracks are fetched when the queue gets to it
 app.post('/api/download/album', async (req, res) => {
   try {
-    const { albumId, quality = 7 } = req.body;
+    const { albumId, quality = 7, priority = 'normal', notBefore, onDuplicate = 'skip' } = req.body;
     
     console.log(`Download album request: albumId=${albumId}, quality=${quality}`);
     
     if (!albumId) {
       return res.status(400).json({ error: 'Album ID is required' });
     }
-
-    // First get album details with all tracks
-    console.log(`Getting album details for: ${albumId}`);
-    const albumUrl = `${API_BASE_URL}/get-album?album_id=${albumId}`;
-    console.log(`API call: ${albumUrl}`);
     
-    const albumResponse = await fetch(albumUrl);
+    if (!downloadQueue.isValidPriority(priority)) {
+      return res.status(400).json({ error: `Priority must be one of: ${downloadQueue.priorities.join(', ')}` });
+    }
     
-    if (!albumResponse.ok) {
-      console.error(`API returned ${albumResponse.status}: ${albumResponse.statusText}`);
-      return res.status(500).json({ error: `Failed to get album: ${albumResponse.status}` });
+    if (notBefore && isNaN(new Date(notBefore))) {
+      return res.status(400).json({ error: 'notBefore must be a date and time' });
+    }
+
+    if (!DUPLICATE_POLICIES.includes(onDuplicate)) {
+      return res.status(400).json({ error: `onDuplicate must be one of: ${DUPLICATE_POLICIES.join(', ')}` });
     }
     
-    const albumData = await albumResponse.json();
-    const album = albumData.album || albumData;
+    // First get album details with all tracks - usually cached from opening the album page
+    console.log(`Getting album details for: ${albumId}`);
+    let album;
+    try {
+      album = await getCatalogAlbum(albumId);
+    } catch (error) {
+      return sendCatalogError(res, error, 'Failed to get album');
+    }
     
     if (!album.tracks?.items || album.tracks.items.length === 0) {
       return res.status(400).json({ error: 'No tracks found in album' });
@@ -321,19 +700,63 @@ app.post('/api/download/album', async (req, res) => {
     console.log(`Album: "${album.title}" by ${album.artist?.name}`);
     console.log(`Found ${album.tracks.items.length} tracks in album`);
     
-    const downloadId = 'album-' + Date.now();
+    // With the skip policy only the tracks missing from a copy already in the library are downloaded
+    let tracks = album.tracks.items;
+    let existing = null;
+    if (onDuplicate === 'skip') {
+      existing = await libraryService.findAlbum({ ...album, id: albumId }, getAlbumFolderName(album));
+    }
+    
+    const presentIds = new Set((existing?.presentTracks || []).map(track => String(track.id)));
+    const skippedTracks = tracks
+      .filter(track => presentIds.has(String(track.id)))
+      .map(track => ({ id: track.id, title: track.title, trackNumber: track.track_number }));
+    tracks = tracks.filter(track => !presentIds.has(String(track.id)));
+    
+    if (existing) {
+      console.log(`Album already in library (matched by ${existing.matchedBy}): ${existing.albumDir}`);
+      console.log(`${skippedTracks.length} tracks present, ${tracks.length} missing`);
+    }
     
-    // Start the album download process
-    setImmediate(() => {
-      startAlbumDownload(downloadId, albumId, album, quality);
+    if (tracks.length === 0) {
+      return res.json({
+        skipped: true,
+        message: 'Album is already in the library',
+        albumId: albumId,
+        existingPath: existing.albumDir,
+        matchedBy: existing.matchedBy,
+        skippedTracks
+      });
+    }
+    
+    const downloadId = createDownloadId('album');
+    
+    // Queue the album download process
+    enqueueDownload({
+      id: downloadId,
+      type: 'album',
+      albumId,
+      album: existing ? { ...album, tracks: { ...album.tracks, items: tracks } } : album,
+      quality,
+      priority,
+      notBefore: notBefore ? new Date(notBefore).toISOString() : null,
+      onDuplicate,
+      targetDir: existing?.albumDir
     });
     
-    res.json({ 
+    res.json({
       downloadId,
-      message: 'Album download started',
+      skipped: false,
+      message: skippedTracks.length > 0
+        ? `Downloading ${tracks.length} missing track${tracks.length === 1 ? '' : 's'}, ${skippedTracks.length} already in the library`
+        : 'Album download queued',
       albumId: albumId,
-      trackCount: album.tracks.items.length,
-      quality: quality
+      trackCount: tracks.length,
+      quality: quality,
+      existingPath: existing?.albumDir || null,
+      skippedTracks,
+      queuePosition: downloadQueue.getPosition(downloadId),
+      scheduledStart: activeDownloads.get(downloadId)?.scheduledStart || null
     });
     
   } catch (error) {
@@ -342,12 +765,459 @@ app.post('/api/download/album', async (req, res) => {
   }
 });
 
-// Album download function - downloads to temp first, then moves entire album
-async function startAlbumDownload(downloadId, albumId, album, quality) {
+// What to do when a download is already in the library: leave it, replace it, or save a second copy
+const DUPLICATE_POLICIES = ['skip', 'overwrite', 'keepBoth'];
+
+// Unique ID for a new download - several can be queued in the same millisecond
+function createDownloadId(prefix) {
+  return `${prefix}-${crypto.randomUUID()}`;
+}
+
+// Add a download to the queue; it is shown as 'queued' until a slot frees up
+function enqueueDownload(job, queueOptions = {}) {
+  job.queuedTime = job.queuedTime || new Date().toISOString();
+  
+  const downloadInfo = {
+    id: job.id,
+    type: job.type,
+    quality: job.quality,
+    status: 'queued',
+    progress: 0,
+    priority: job.priority || 'normal',
+    notBefore: job.notBefore || null,
+    queuedTime: job.queuedTime
+  };
+  
+  if (job.type === 'album') {
+    Object.assign(downloadInfo, {
+      albumId: job.albumId,
+      completedTracks: 0,
+      totalTracks: job.album.tracks.items.length,
+      failedTracks: 0,
+      title: job.album.title,
+      artist: job.album.artist?.name || 'Unknown Artist'
+    });
+  } else {
+    Object.assign(downloadInfo, {
+      trackId: job.trackId,
+      title: job.track?.title || `Track ${job.trackId}`,
+      artist: job.track?.performer?.name || job.album?.artist?.name || 'Unknown Artist'
+    });
+  }
+  
+  if (job.resumed) {
+    downloadInfo.resumed = true;
+  }
+  
+  if (job.retryOf) {
+    downloadInfo.retryOf = job.retryOf;
+  }
+  
+  if (job.upgradeOf) {
+    downloadInfo.upgradeFrom = getQualityName(job.upgradeFrom);
+  }
+  
+  activeDownloads.set(job.id, downloadInfo);
+  downloadQueue.enqueue(job, queueOptions);
+}
+
+// When a waiting job may start, given its notBefore time and the download window - null if it may start now
+function getScheduledStart(job) {
+  const now = new Date();
+  let start = job.notBefore && new Date(job.notBefore) > now ? new Date(job.notBefore) : now;
+  
+  if (settings.downloadWindow) {
+    start = nextWindowStart(settings.downloadWindow, start);
+  }
+  
+  return start > now ? start : null;
+}
+
+// Keep queue positions, priorities and queued/scheduled/paused status of waiting downloads in sync with the clients
+let lastQueueOrder = '';
+function updateQueuePositions() {
+  let nextScheduledStart = null;
+  const upstreamWaiting = !upstreamScheduler.acceptsRequests();
+  
+  downloadQueue.pending.forEach((job, index) => {
+    const downloadInfo = activeDownloads.get(job.id);
+    const scheduledStart = getScheduledStart(job)?.toISOString() || null;
+    if (scheduledStart && !job.paused && (!nextScheduledStart || scheduledStart < nextScheduledStart)) {
+      nextScheduledStart = scheduledStart;
+    }
+    
+    const heldReason = job.paused ? null : (job.heldReason || null);
+    const status = job.paused ? 'paused' : (heldReason ? 'waiting for space' : (scheduledStart ? 'scheduled' : 
+      (upstreamWaiting ? 'waiting for upstream' : 'queued')));
+    if (downloadInfo && (
+      downloadInfo.queuePosition !== index + 1 || 
+      downloadInfo.status !== status || 
+      downloadInfo.priority !== job.priority || 
+      downloadInfo.scheduledStart !== scheduledStart ||
+      (downloadInfo.notBefore || null) !== (job.notBefore || null) ||
+      (downloadInfo.heldReason || null) !== heldReason
+    )) {
+      downloadInfo.queuePosition = index + 1;
+      downloadInfo.status = status;
+      downloadInfo.priority = job.priority;
+      downloadInfo.notBefore = job.notBefore || null;
+      downloadInfo.scheduledStart = scheduledStart;
+      downloadInfo.heldReason = heldReason;
+      broadcast({ type: 'download_update', data: downloadInfo });
+    }
+  });
+  
+  scheduleQueueCheck(nextScheduledStart);
+  
+  // Tell clients the new order in one message so they can re-sort without waiting for every update
+  const order = downloadQueue.getOrder();
+  if (order.join(',') !== lastQueueOrder) {
+    lastQueueOrder = order.join(',');
+    broadcast({ type: 'queue_order', data: { order } });
+  }
+  
+  broadcastQueueStatus();
+  saveDownloadQueue();
+}
+
+// Abort controllers for running jobs, used to cancel them mid-transfer
+const downloadControllers = new Map();
+
+// Run a queued job once the queue hands it a slot
+async function runDownloadJob(job) {
+  const downloadInfo = activeDownloads.get(job.id);
+  if (!downloadInfo) {
+    console.log(`Skipping job ${job.id} - no longer tracked`);
+    return;
+  }
+  delete downloadInfo.queuePosition;
+  delete downloadInfo.scheduledStart;
+  delete downloadInfo.heldReason;
+  
+  // Make sure the download fits on disk before any of it is fetched
+  const spaceProblem = await checkDiskSpace(job);
+  if (spaceProblem?.refuse) {
+    console.log(`Refusing job ${job.id}: ${spaceProblem.message}`);
+    downloadInfo.status = 'failed';
+    downloadInfo.error = spaceProblem.message;
+    downloadInfo.endTime = new Date().toISOString();
+    addToHistory(downloadInfo, job.track, job.album);
+    broadcast({ type: 'download_update', data: downloadInfo });
+    
+    setTimeout(() => {
+      activeDownloads.delete(job.id);
+      broadcast({ type: 'download_removed', data: { id: job.id } });
+    }, 20000);
+    return;
+  }
+  if (spaceProblem) {
+    holdForDiskSpace(job, spaceProblem.message);
+    return;
+  }
+  
+  const controller = new AbortController();
+  downloadControllers.set(job.id, controller);
+  
+  try {
+    if (job.type === 'album') {
+      await startAlbumDownload(job.id, job.albumId, job.album, job.quality, controller.signal, {
+        targetDir: job.targetDir,
+        replaceFiles: job.replaceFiles,
+        onDuplicate: job.onDuplicate,
+        upgradeOf: job.upgradeOf,
+        upgradeFrom: job.upgradeFrom
+      });
+    } else {
+      await startFileDownloadWithProcessing(job.id, job.trackId, job.quality, job.track, job.album, controller.signal, {
+        onDuplicate: job.onDuplicate
+      });
+    }
+  } finally {
+    downloadControllers.delete(job.id);
+  }
+  
+  // A paused job goes back to the front of the queue and waits to be resumed,
+  // one that filled up the disk or met a failing upstream waits there until that is over
+  const finishedInfo = activeDownloads.get(job.id);
+  if (finishedInfo?.status === 'paused') {
+    if (finishedInfo.cancelRequested) {
+      await dropQueuedDownload(job.id, job);
+    } else if (finishedInfo.diskFull) {
+      delete finishedInfo.diskFull;
+      holdForDiskSpace(job, 'Disk full - continues when space is freed');
+    } else if (finishedInfo.upstreamPaused) {
+      // Starts again from the front of the queue once the upstream answers
+      delete finishedInfo.upstreamPaused;
+      downloadQueue.requeue(job);
+    } else {
+      downloadQueue.requeue({ ...job, paused: true });
+    }
+  }
+}
+
+// Rough size of a job from its track durations and the bitrate of its quality. FLAC is
+// estimated at its uncompressed bitrate, so this errs on the large side.
+const UNKNOWN_TRACK_SECONDS = 300;
+function estimateDownloadSize(job) {
+  const tracks = job.type === 'album' ? (job.album?.tracks?.items || []) : [job.track || {}];
+  const bytesPerSecond = qobuzService.getQualityInfo(job.quality).bitrate * 1000 / 8;
+  const sizes = tracks.map(track => (track.duration || UNKNOWN_TRACK_SECONDS) * bytesPerSecond);
+  
+  return {
+    total: sizes.reduce((sum, size) => sum + size, 0),
+    largestTrack: Math.max(0, ...sizes)
+  };
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+// Check that a job fits on the temp and library disks next to the other running jobs, keeping the
+// configured reserve free. Returns null when it fits, otherwise a message and whether the job can
+// never fit (refuse) or just has to wait for space.
+async function checkDiskSpace(job) {
+  const estimate = estimateDownloadSize(job);
+  const reserve = settings.minFreeSpaceMB * 1024 * 1024;
+  const locations = [
+    // The whole job is staged in temp, plus a track being processed
+    { dir: process.env.TEMP_PATH || '/app/temp', need: estimate.total + estimate.largestTrack },
+    { dir: process.env.DOWNLOAD_PATH || '/app/music', need: estimate.total }
+  ];
+  
+  // Space the other running jobs are still going to take
+  const othersNeed = [...downloadQueue.running.values()]
+    .filter(other => other.id !== job.id)
+    .reduce((sum, other) => sum + estimateDownloadSize(other).total, 0);
+  
+  const disks = new Map();
+  for (const location of locations) {
+    let stat;
+    let space;
+    try {
+      await fs.ensureDir(location.dir);
+      [stat, space] = await Promise.all([fs.stat(location.dir), fs.statfs(location.dir)]);
+    } catch (error) {
+      // Without knowing the free space the job could fill the disk, so it waits like one that does not fit
+      console.log(`Could not check free space on ${location.dir}:`, error.message);
+      return {
+        refuse: false,
+        message: `Waiting for disk space: could not check the free space on ${location.dir} (${error.message})`
+      };
+    }
+    
+    // When temp and library share a disk, the job needs room there for both
+    const disk = disks.get(stat.dev) || { dirs: [], need: othersNeed, free: space.bavail * space.bsize, size: space.blocks * space.bsize };
+    disk.dirs.push(location.dir);
+    disk.need += location.need;
+    disks.set(stat.dev, disk);
+  }
+  
+  for (const disk of disks.values()) {
+    const usable = disk.free - reserve;
+    if (disk.need - othersNeed + reserve > disk.size) {
+      return {
+        refuse: true,
+        message: `Not enough disk space: needs about ${formatMegabytes(disk.need - othersNeed)} on ${disk.dirs.join(' and ')}, ` +
+          `which only holds ${formatMegabytes(disk.size)} with ${formatMegabytes(reserve)} kept free`
+      };
+    }
+    if (disk.need > usable) {
+      return {
+        refuse: false,
+        message: `Waiting for disk space: needs about ${formatMegabytes(disk.need)} on ${disk.dirs.join(' and ')}, ` +
+          `${formatMegabytes(Math.max(usable, 0))} free above the ${formatMegabytes(reserve)} reserve`
+      };
+    }
+  }
+  
+  return null;
+}
+
+// Put a job back at the front of the queue until a later check finds enough free space
+let spaceCheckTimer = null;
+function holdForDiskSpace(job, reason) {
+  console.log(`Holding job ${job.id}: ${reason}`);
+  downloadQueue.requeue({ ...job, heldReason: reason });
+  
+  if (!spaceCheckTimer) {
+    spaceCheckTimer = setTimeout(() => {
+      spaceCheckTimer = null;
+      downloadQueue.releaseHeld();
+    }, 60 * 1000);
+  }
+}
+
+// Disk full errors come from Node as ENOSPC and from FFmpeg as a message
+function isDiskFullError(error) {
+  return error?.code === 'ENOSPC' || /No space left on device/i.test(error?.message || '');
+}
+
+// Signed download URLs stop working after a while, and the file server then answers 403 or 410
+function isExpiredUrlError(error) {
+  return error?.status === 403 || error?.status === 410;
+}
+
+// How many fresh URLs one track asks for before it gives up on them
+const MAX_URL_REFRESHES = 2;
+
+// Stop a running job that filled up the disk, keeping what it downloaded so far
+function stopForDiskSpace(downloadId) {
+  const downloadInfo = activeDownloads.get(downloadId);
+  const controller = downloadControllers.get(downloadId);
+  if (!downloadInfo || !controller || controller.signal.aborted) return;
+  
+  console.log(`Disk full, stopping download: ${downloadId}`);
+  downloadInfo.diskFull = true;
+  controller.abort('paused');
+}
+
+// Stop a running job while the upstream circuit breaker is open, so it waits in the queue for the
+// upstream to recover instead of using up its retries
+function stopForUpstream(downloadId) {
+  const downloadInfo = activeDownloads.get(downloadId);
+  const controller = downloadControllers.get(downloadId);
+  if (!downloadInfo || !controller || controller.signal.aborted) return;
+  
+  console.log(`Upstream paused, stopping download: ${downloadId}`);
+  downloadInfo.upstreamPaused = true;
+  controller.abort('paused');
+}
+
+// Stop a job for a problem that goes away by itself - a full disk or a failing upstream
+function stopForTemporaryProblem(downloadId, error) {
+  if (isDiskFullError(error)) {
+    stopForDiskSpace(downloadId);
+  } else if (upstreamScheduler.isOpen()) {
+    stopForUpstream(downloadId);
+  }
+}
+
+// Remove a download that is not running, including what a paused album or track left behind in temp.
+// One that had not finished yet is recorded as cancelled.
+async function dropQueuedDownload(downloadId, job = downloadQueue.pending.find(item => item.id === downloadId)) {
+  const downloadInfo = activeDownloads.get(downloadId);
+  downloadQueue.remove(downloadId);
+  activeDownloads.delete(downloadId);
+  broadcast({ type: 'download_removed', data: { id: downloadId } });
+  
+  if (downloadInfo && !['completed', 'failed', 'cancelled'].includes(downloadInfo.status)) {
+    downloadInfo.status = 'cancelled';
+    downloadInfo.endTime = new Date().toISOString();
+    addToHistory(downloadInfo, job?.track, job?.album);
+  }
+  
+  const tempDir = process.env.TEMP_PATH || '/app/temp';
+  const leftovers = [
+    path.join(tempDir, `album_${downloadId}`),
+    path.join(tempDir, `track_${downloadId}`)
+  ];
+  for (const leftover of leftovers) {
+    try {
+      await fs.remove(leftover);
+    } catch (error) {
+      console.error(`Failed to clean up ${path.basename(leftover)}:`, error.message);
+    }
+  }
+}
+
+// Stop a running job, or hold a waiting one in the queue
+function pauseDownload(downloadId) {
+  const downloadInfo = activeDownloads.get(downloadId);
+  const controller = downloadControllers.get(downloadId);
+  
+  if (controller) {
+    if (!controller.signal.aborted) {
+      downloadInfo.status = 'pausing';
+      broadcast({ type: 'download_update', data: downloadInfo });
+      controller.abort('paused');
+      console.log(`Download pausing: ${downloadId}`);
+    }
+    return true;
+  }
+  
+  return downloadQueue.pause(downloadId);
+}
+
+// Broadcast the global queue state (paused flag and counts)
+function broadcastQueueStatus() {
+  broadcast({ type: 'queue_status', data: downloadQueue.getStatus() });
+}
+
+// A running job is stopped by aborting its signal with 'cancelled' or 'paused' as the reason
+function isPausedSignal(signal) {
+  return !!signal?.aborted && signal.reason === 'paused';
+}
+
+function stopError(signal) {
+  return new Error(isPausedSignal(signal) ? 'Download paused' : 'Download cancelled');
+}
+
+// Throw if the download has been cancelled or paused
+function throwIfStopped(signal) {
+  if (signal?.aborted) {
+    throw stopError(signal);
+  }
+}
+
+// Wait for the given time, waking up early if the download is stopped
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(stopError(signal));
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(stopError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+downloadQueue.setRunner(runDownloadJob);
+downloadQueue.setChangeHandler(updateQueuePositions);
+downloadQueue.setStartCheck(job => !getScheduledStart(job));
+downloadQueue.setStartGate(() => upstreamScheduler.acceptsRequests());
+
+// Clients see the circuit breaker open and close, and waiting jobs start once it lets requests through
+upstreamScheduler.setChangeHandler(status => {
+  broadcast({ type: 'upstream_status', data: status });
+  downloadQueue.notifyChange();
+  downloadQueue.processNext();
+});
+
+// Wake the queue up when the next scheduled job becomes eligible. Long waits are
+// split up so a changed system clock is picked up within the hour.
+let scheduleTimer = null;
+function scheduleQueueCheck(nextScheduledStart) {
+  clearTimeout(scheduleTimer);
+  if (!nextScheduledStart) return;
+  
+  const wait = Math.min(new Date(nextScheduledStart) - Date.now() + 250, 60 * 60 * 1000);
+  scheduleTimer = setTimeout(() => {
+    downloadQueue.processNext();
+    downloadQueue.notifyChange();
+  }, Math.max(wait, 0));
+}
+
+// Album download function - downloads to temp first, then moves entire album.
+// With targetDir set (retrying or repairing tracks) the tracks are added to that existing album folder
+// instead, replacing only the files listed in replaceFiles. onDuplicate decides what happens when the
+// album folder already exists: skip keeps the files in it, overwrite replaces it, keepBoth saves a copy.
+// With upgradeOf set the album replaces that folder, but only once every track is downloaded and checked.
+async function startAlbumDownload(downloadId, albumId, album, quality, signal, { targetDir, replaceFiles = [], onDuplicate = 'skip', upgradeOf, upgradeFrom } = {}) {
   // Define temp paths at function scope so they're available for cleanup
   const tempAlbumRoot = path.join(process.env.TEMP_PATH || '/app/temp', `album_${downloadId}`);
   let tempAlbumDir = null;
   let finalAlbumDir = null;
+  // Set only when the album stops paused - not when a pause arrives after it has finished
+  let stoppedPaused = false;
 
   try {
     console.log(`\n=== STARTING ALBUM DOWNLOAD ${downloadId} ===`);
@@ -355,6 +1225,7 @@ async function startAlbumDownload(downloadId, albumId, album, quality) {
     console.log(`Total tracks: ${album.tracks.items.length}`);
     
     const albumDownloadInfo = {
+      ...activeDownloads.get(downloadId),
       id: downloadId,
       type: 'album',
       albumId,
@@ -365,6 +1236,7 @@ async function startAlbumDownload(downloadId, albumId, album, quality) {
       completedTracks: 0,
       totalTracks: album.tracks.items.length,
       failedTracks: 0,
+      urlRefreshes: 0,
       startTime: new Date().toISOString(),
       title: album.title,
       artist: album.artist?.name || 'Unknown Artist'
@@ -374,108 +1246,230 @@ async function startAlbumDownload(downloadId, albumId, album, quality) {
     broadcast({ type: 'download_update', data: albumDownloadInfo });
     
     // Create album folder in TEMP directory first
-    const sanitize = (str) => {
-      if (!str) return 'Unknown';
-      return str
-        .replace(/[<>:"/\\|?*]/g, '')
-        .replace(/\s+/g, ' ')
-        .trim()
-        .substring(0, 80);
-    };
-    
-    const artistName = sanitize(album.artist?.name || 'Unknown Artist');
-    const albumTitle = sanitize(album.title || 'Unknown Album');
-    let year = '';
-    if (album.release_date_original) {
-      try {
-        year = new Date(album.release_date_original).getFullYear();
-      } catch (e) {
-        console.log(`Could not parse year from: ${album.release_date_original}`);
-      }
-    }
-    
-    const albumFolderName = year ? `${artistName} - ${albumTitle} (${year})` : `${artistName} - ${albumTitle}`;
+    const albumFolderName = getAlbumFolderName(album);
     tempAlbumDir = path.join(tempAlbumRoot, albumFolderName);
-    finalAlbumDir = path.join(process.env.DOWNLOAD_PATH || '/app/music', albumFolderName);
+    finalAlbumDir = targetDir || upgradeOf || path.join(process.env.DOWNLOAD_PATH || '/app/music', albumFolderName);
+    albumDownloadInfo.filePath = finalAlbumDir;
     
     console.log(`Temp album directory: ${tempAlbumDir}`);
     console.log(`Final album directory: ${finalAlbumDir}`);
     
-    // Create temp album directory
+    // Create temp album directory (kept across restarts so resumed albums can skip finished tracks)
     await fs.ensureDir(tempAlbumDir);
     
+    // Drop half-processed files left behind by an interrupted run (partial downloads in temp_ files are resumed)
+    for (const file of await fs.readdir(tempAlbumDir)) {
+      if (file.startsWith('processing_')) {
+        await fs.remove(path.join(tempAlbumDir, file));
+      }
+    }
+    
     // Download album artwork to temp folder
-    const albumArtworkPath = await downloadAlbumArtwork(album, tempAlbumDir);
+    const albumArtworkPath = await downloadAlbumArtwork(album, tempAlbumDir, signal);
+    
+    // Download tracks to temp folder with retry logic, several at a time
+    const totalTracks = album.tracks.items.length;
+    const trackConcurrency = Math.min(ALBUM_TRACK_CONCURRENCY, totalTracks);
+    let nextTrackIndex = 0;
+    
+    // Per-track status shown on the album card: pending, downloading, tagging, retrying, done or failed
+    albumDownloadInfo.tracks = album.tracks.items.map((track, index) => ({
+      id: track.id,
+      title: track.title,
+      trackNumber: track.track_number || index + 1,
+      status: 'pending',
+      progress: 0,
+      retries: 0,
+      urlRefreshes: 0
+    }));
+    
+    // Refresh album progress from finished tracks plus the ones currently downloading
+    const updateAlbumProgress = () => {
+      const inFlightTracks = albumDownloadInfo.tracks.filter(entry => ['downloading', 'tagging', 'retrying'].includes(entry.status));
+      const partialTracks = inFlightTracks.reduce((sum, entry) => sum + (entry.progress || 0) / 100, 0);
+      
+      albumDownloadInfo.currentTrack = inFlightTracks.map(entry => entry.title).join(', ');
+      albumDownloadInfo.speed = inFlightTracks.reduce((sum, entry) => sum + (entry.status === 'downloading' ? entry.speed || 0 : 0), 0);
+      albumDownloadInfo.progress = Math.round(((albumDownloadInfo.completedTracks + partialTracks) / totalTracks) * 100);
+      albumDownloadInfo.status = `downloading tracks (${albumDownloadInfo.completedTracks + albumDownloadInfo.failedTracks}/${totalTracks})`;
+      broadcast({ type: 'download_update', data: albumDownloadInfo });
+    };
     
-    // Download each track to temp folder with retry logic
-    for (let i = 0; i < album.tracks.items.length; i++) {
+    const downloadAlbumTrack = async (i) => {
       const track = album.tracks.items[i];
+      const entry = albumDownloadInfo.tracks[i];
+      
+      // Track already finished before a restart - it only lands here once fully processed
+      if (await fs.pathExists(path.join(tempAlbumDir, getTrackFileName(track, quality)))) {
+        console.log(`[${i + 1}/${totalTracks}] Already in staging folder: "${track.title}"`);
+        entry.status = 'done';
+        entry.progress = 100;
+        albumDownloadInfo.completedTracks++;
+        updateAlbumProgress();
+        return;
+      }
+      
       const maxRetries = 3;
       let attempt = 0;
       let trackCompleted = false;
       
-      while (attempt < maxRetries && !trackCompleted) {
-        try {
-          attempt++;
-          const retryText = attempt > 1 ? ` (attempt ${attempt}/${maxRetries})` : '';
-          console.log(`\n[${i + 1}/${album.tracks.items.length}] Downloading: "${track.title}"${retryText}`);
-          
-          // Update album progress with retry info
-          albumDownloadInfo.status = `downloading track ${i + 1}/${album.tracks.items.length}${retryText}`;
-          albumDownloadInfo.currentTrack = track.title;
-          broadcast({ type: 'download_update', data: albumDownloadInfo });
-          
-          // Get download URL for this track using qobuz-proxy API
-          const downloadUrl = `${API_BASE_URL}/download-music?track_id=${track.id}&quality=${quality}`;
-          console.log(`API call: ${downloadUrl}`);
-          
-          const response = await fetch(downloadUrl);
-          
-          if (!response.ok) {
-            throw new Error(`API returned ${response.status}: ${response.statusText}`);
-          }
-          
-          const data = await response.json();
-          
-          if (!data.url) {
-            throw new Error(`No download URL received for track ${track.id}`);
-          }
-          
-          // Download and process this track in temp folder
-          const trackDownloadId = `${downloadId}_track_${track.id}`;
-          await downloadSingleTrackForAlbumToTemp(trackDownloadId, track, album, data.url, quality, tempAlbumDir, albumArtworkPath);
-          
-          // Track completed successfully
-          trackCompleted = true;
-          albumDownloadInfo.completedTracks++;
-          albumDownloadInfo.progress = Math.round((albumDownloadInfo.completedTracks / album.tracks.items.length) * 100);
-          broadcast({ type: 'download_update', data: albumDownloadInfo });
-          
-          console.log(`[${i + 1}/${album.tracks.items.length}] Completed: "${track.title}"`);
-          
-          // Small delay between tracks to be nice to the server
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-        } catch (trackError) {
-          console.error(`Failed to download track "${track.title}" (attempt ${attempt}/${maxRetries}):`, trackError.message);
-          
-          if (attempt < maxRetries) {
-            // Exponential backoff: wait longer between retries
-            const waitTime = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s
-            console.log(`Retrying in ${waitTime / 1000} seconds...`);
+      // Stage changes reported while the file is fetched and tagged
+      const onTrackUpdate = (update) => {
+        if (update.status === 'retrying') {
+          entry.retries++;
+          entry.retryIn = update.retryIn;
+          entry.error = update.error;
+        } else {
+          delete entry.retryIn;
+        }
+        if (update.urlRefreshed) {
+          entry.urlRefreshes++;
+          albumDownloadInfo.urlRefreshes++;
+        }
+        if (update.percent !== undefined) {
+          entry.progress = update.percent || 0;
+          entry.speed = update.speed;
+        }
+        entry.status = update.status;
+        updateAlbumProgress();
+      };
+      
+      try {
+        while (attempt < maxRetries && !trackCompleted) {
+          try {
+            attempt++;
+            const retryText = attempt > 1 ? ` (attempt ${attempt}/${maxRetries})` : '';
+            console.log(`\n[${i + 1}/${totalTracks}] Downloading: "${track.title}"${retryText}`);
+            
+            // Update album progress with retry info
+            onTrackUpdate({ status: 'downloading', percent: 0, speed: 0 });
+            
+            // Get download URL for this track from the catalog
+            const fileUrl = await catalog.getFileUrl(track.id, quality, { signal });
+            
+            // Download and process this track in temp folder
+            const trackDownloadId = `${downloadId}_track_${track.id}`;
+            const qualityCheck = await downloadTrackToTemp(trackDownloadId, track, album, fileUrl, quality, tempAlbumDir, albumArtworkPath, signal, onTrackUpdate);
+            recordQualityCheck(entry, qualityCheck);
+            
+            // Track completed successfully
+            trackCompleted = true;
+            entry.status = 'done';
+            entry.progress = 100;
+            delete entry.error;
+            albumDownloadInfo.completedTracks++;
+            updateAlbumProgress();
             
-            // Update status to show retry delay
-            albumDownloadInfo.status = `retry in ${waitTime / 1000}s (track ${i + 1}/${album.tracks.items.length})`;
-            broadcast({ type: 'download_update', data: albumDownloadInfo });
+            console.log(`[${i + 1}/${totalTracks}] Completed: "${track.title}"`);
             
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-          } else {
-            // All retries failed
-            console.error(`Track "${track.title}" failed after ${maxRetries} attempts, skipping`);
-            albumDownloadInfo.failedTracks++;
-            trackCompleted = true; // Mark as completed to move to next track
+          } catch (trackError) {
+            // Cancellation is not a track failure - leave the loop straight away. Neither is a
+            // full disk or a failing upstream, which hold the whole album until they are over.
+            stopForTemporaryProblem(downloadId, trackError);
+            throwIfStopped(signal);
+            
+            console.error(`Failed to download track "${track.title}" (attempt ${attempt}/${maxRetries}):`, trackError.message);
+            
+            if (attempt < maxRetries && trackError.retryable !== false) {
+              const waitTime = upstreamScheduler.getRetryDelay(attempt);
+              console.log(`Retrying in ${waitTime / 1000} seconds...`);
+              
+              // Show the retry delay on the track
+              onTrackUpdate({ status: 'retrying', retryIn: waitTime / 1000, error: trackError.message });
+              
+              await delay(waitTime, signal);
+            } else {
+              // All retries failed
+              console.error(`Track "${track.title}" failed after ${maxRetries} attempts, skipping`);
+              entry.status = 'failed';
+              entry.error = trackError.message;
+              albumDownloadInfo.failedTracks++;
+              updateAlbumProgress();
+              trackCompleted = true; // Mark as completed to move to next track
+            }
           }
         }
+      } catch (stopError) {
+        // Paused or cancelled mid-track - it will start from pending again
+        entry.status = 'pending';
+        throw stopError;
+      }
+    };
+    
+    // Each worker takes the next waiting track until none are left
+    const trackWorker = async () => {
+      while (nextTrackIndex < totalTracks) {
+        // Stop between tracks once the album has been cancelled or paused
+        throwIfStopped(signal);
+        await downloadAlbumTrack(nextTrackIndex++);
+      }
+    };
+    
+    console.log(`Downloading with ${trackConcurrency} track worker(s)`);
+    
+    // Wait for every worker before going on, so none is still writing into the staging folder
+    const workerResults = await Promise.allSettled(Array.from({ length: trackConcurrency }, trackWorker));
+    const stoppedWorker = workerResults.find(result => result.status === 'rejected');
+    if (stoppedWorker) {
+      throw stoppedWorker.reason;
+    }
+    delete albumDownloadInfo.currentTrack;
+    delete albumDownloadInfo.speed;
+    
+    // The album is only as good as its lowest track
+    const checkedTracks = albumDownloadInfo.tracks.filter(entry => entry.delivered);
+    if (checkedTracks.length > 0) {
+      const lowest = checkedTracks.reduce((low, entry) => (isHigherQuality(low.deliveredQuality, entry.deliveredQuality) ? entry : low));
+      albumDownloadInfo.delivered = lowest.delivered;
+      albumDownloadInfo.deliveredQuality = lowest.deliveredQuality;
+    }
+    
+    const lowTracks = albumDownloadInfo.tracks.filter(entry => entry.qualityWarning);
+    if (lowTracks.length > 0) {
+      // Each track was checked against the best quality the catalog offers for it, up to the requested one
+      const expected = lowTracks.reduce((high, entry) => (isHigherQuality(entry.expectedQuality, high) ? entry.expectedQuality : high), lowTracks[0].expectedQuality);
+      albumDownloadInfo.qualityWarning = `${lowTracks.length} track${lowTracks.length === 1 ? '' : 's'} below ${describeExpectedQuality(expected, quality)}, ` +
+        `lowest ${qualityService.describe(albumDownloadInfo.delivered)}`;
+    }
+    
+    // Last chance to cancel before anything reaches the library
+    throwIfStopped(signal);
+
+    const manifestInfo = {
+      albumId,
+      title: album.title,
+      artist: album.artist?.name || 'Unknown Artist',
+      // Record what was delivered, so a later upgrade scan sees the real quality
+      quality: albumDownloadInfo.deliveredQuality || quality,
+      qualityName: getQualityName(albumDownloadInfo.deliveredQuality || quality),
+      tracks: album.tracks.items.map((track, index) => ({
+        id: track.id,
+        isrc: track.isrc,
+        trackNumber: track.track_number || index + 1,
+        title: track.title,
+        duration: track.duration,
+        fileName: getTrackFileName(track, quality)
+      }))
+    };
+    
+    // An upgrade must be complete and readable before it may replace the album already in the library
+    if (upgradeOf) {
+      if (albumDownloadInfo.failedTracks > 0) {
+        throw new Error(`Upgrade incomplete: ${albumDownloadInfo.failedTracks} track(s) failed, existing files kept`);
+      }
+
+      if (albumDownloadInfo.deliveredQuality && upgradeFrom && !isHigherQuality(albumDownloadInfo.deliveredQuality, upgradeFrom)) {
+        throw new Error(`Upgrade not applied: delivered ${qualityService.describe(albumDownloadInfo.delivered)}, ` +
+          `no better than the existing ${getQualityName(upgradeFrom)}`);
+      }
+      
+      albumDownloadInfo.status = 'verifying';
+      broadcast({ type: 'download_update', data: albumDownloadInfo });
+      
+      await manifestService.write(tempAlbumDir, manifestInfo);
+      const check = await manifestService.check(tempAlbumDir);
+      if (!check.complete) {
+        throw new Error(`Upgrade failed its check (${check.missing} missing, ${check.corrupt} corrupt), existing files kept`);
       }
     }
     
@@ -487,12 +1481,28 @@ async function startAlbumDownload(downloadId, albumId, album, quality) {
     console.log(`From: ${tempAlbumDir}`);
     console.log(`To: ${finalAlbumDir}`);
     
+    // The album folder may have appeared since the download was queued
+    const albumExists = !targetDir && !upgradeOf && await fs.pathExists(finalAlbumDir);
+    if (albumExists && onDuplicate === 'keepBoth') {
+      finalAlbumDir = await libraryService.getAvailablePath(finalAlbumDir);
+      albumDownloadInfo.filePath = finalAlbumDir;
+      console.log(`Album folder exists, keeping both: ${finalAlbumDir}`);
+    }
+    const merge = !!targetDir || (albumExists && onDuplicate === 'skip');
+    
     try {
       // Ensure final music directory exists
       await fs.ensureDir(path.dirname(finalAlbumDir));
       
-      // Move the entire album folder from temp to final location
-      await fs.move(tempAlbumDir, finalAlbumDir, { overwrite: true });
+      if (upgradeOf) {
+        await swapAlbumFolder(tempAlbumDir, finalAlbumDir);
+      } else if (merge) {
+        // Add the new tracks next to the ones already in the library
+        await mergeIntoAlbumFolder(tempAlbumDir, finalAlbumDir, replaceFiles);
+      } else {
+        // Move the entire album folder from temp to final location
+        await fs.move(tempAlbumDir, finalAlbumDir, { overwrite: true });
+      }
       
       // Set final permissions on the moved album folder
       await setFinalAlbumPermissions(finalAlbumDir);
@@ -501,9 +1511,14 @@ async function startAlbumDownload(downloadId, albumId, album, quality) {
       
     } catch (moveError) {
       console.error(`Failed to move album folder:`, moveError.message);
+      if (upgradeOf) {
+        // The old album has been put back, copying over it would mix both versions
+        throw moveError;
+      }
+      
       // If move fails, try to copy instead
       try {
-        await fs.copy(tempAlbumDir, finalAlbumDir, { overwrite: true });
+        await fs.copy(tempAlbumDir, finalAlbumDir, { overwrite: !merge });
         await setFinalAlbumPermissions(finalAlbumDir);
         console.log(`Album copied successfully to final location`);
         // Don't remove tempAlbumDir here - let finally block handle it
@@ -513,6 +1528,13 @@ async function startAlbumDownload(downloadId, albumId, album, quality) {
       }
     }
     
+    // Record what the folder should contain so it can be checked and repaired later
+    try {
+      await libraryService.writeManifest(finalAlbumDir, manifestInfo);
+    } catch (manifestError) {
+      console.error(`Could not write album manifest:`, manifestError.message);
+    }
+    
     // Album download complete
     albumDownloadInfo.status = 'completed';
     albumDownloadInfo.progress = 100;
@@ -526,6 +1548,9 @@ async function startAlbumDownload(downloadId, albumId, album, quality) {
     
     // Add to history
     addToHistory(albumDownloadInfo, null, album);
+    if (albumDownloadInfo.retryOf) {
+      updateRetriedHistoryItem(albumDownloadInfo.retryOf, albumDownloadInfo);
+    }
     
     broadcast({ type: 'download_update', data: albumDownloadInfo });
     
@@ -536,27 +1561,51 @@ async function startAlbumDownload(downloadId, albumId, album, quality) {
     }, 20000);
     
   } catch (error) {
-    console.error(`=== ALBUM DOWNLOAD FAILED ===`);
-    console.error(`Error:`, error.message);
+    stopForTemporaryProblem(downloadId, error);
+    const paused = isPausedSignal(signal);
+    const cancelled = !!signal?.aborted && !paused;
+    if (paused) {
+      // Keep the staging folder so the album picks up at the next unfinished track
+      console.log(`=== ALBUM DOWNLOAD PAUSED ===`);
+      const albumDownloadInfo = activeDownloads.get(downloadId);
+      if (albumDownloadInfo) {
+        stoppedPaused = true;
+        albumDownloadInfo.status = 'paused';
+        delete albumDownloadInfo.currentTrack;
+        delete albumDownloadInfo.speed;
+        broadcast({ type: 'download_update', data: albumDownloadInfo });
+      }
+      return;
+    }
+    
+    if (cancelled) {
+      console.log(`=== ALBUM DOWNLOAD CANCELLED ===`);
+    } else {
+      console.error(`=== ALBUM DOWNLOAD FAILED ===`);
+      console.error(`Error:`, error.message);
+    }
     
     const albumDownloadInfo = activeDownloads.get(downloadId);
     if (albumDownloadInfo) {
-      albumDownloadInfo.status = 'failed';
-      albumDownloadInfo.error = error.message;
+      albumDownloadInfo.status = cancelled ? 'cancelled' : 'failed';
+      if (!cancelled) {
+        albumDownloadInfo.error = error.message;
+      }
       albumDownloadInfo.endTime = new Date().toISOString();
       
-      // Add failed album to history
+      // Add failed or cancelled album to history
       addToHistory(albumDownloadInfo, null, album);
       
       broadcast({ type: 'download_update', data: albumDownloadInfo });
       
       setTimeout(() => {
         activeDownloads.delete(downloadId);
-      }, 20000);
+        broadcast({ type: 'download_removed', data: { id: downloadId } });
+      }, cancelled ? 5000 : 20000);
     }
   } finally {
-    // CRITICAL: Always clean up temp directory regardless of success/failure
-    if (tempAlbumRoot) {
+    // CRITICAL: Always clean up temp directory regardless of success/failure (a paused album keeps it)
+    if (tempAlbumRoot && !stoppedPaused) {
       try {
         console.log(`FINALLY: Cleaning up temp directory: ${tempAlbumRoot}`);
         await fs.remove(tempAlbumRoot);
@@ -584,61 +1633,68 @@ async function startAlbumDownload(downloadId, albumId, album, quality) {
   }
 }
 
-// Download a single track as part of an album download to temp folder with retry logic
-async function downloadSingleTrackForAlbumToTemp(trackDownloadId, track, album, fileUrl, quality, tempAlbumDir, albumArtworkPath) {
+// Download, tag and verify one track in a temp folder with retry logic - used for album tracks and single tracks
+async function downloadTrackToTemp(trackDownloadId, track, album, fileUrl, quality, tempAlbumDir, albumArtworkPath, signal, onTrackUpdate = () => {}) {
   let tempFilePath = null;
+  let processingFilePath = null;
   const maxRetries = 3;
+  let attempt = 1;
+  let urlRefreshes = 0;
+  let completed = false;
   
   try {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    while (attempt <= maxRetries) {
       try {
-        // Step 1: Download file
-        console.log(`Downloading file${attempt > 1 ? ` (attempt ${attempt}/${maxRetries})` : ''}...`);
-        const response = await fetch(fileUrl);
-        if (!response.ok) {
-          throw new Error(`File download failed: ${response.status} ${response.statusText}`);
-        }
-        
-        const totalSize = parseInt(response.headers.get('content-length') || '0');
-        console.log(`File size: ${Math.round(totalSize / 1024 / 1024)} MB`);
-        
-        // Step 2: Prepare file paths
-        const extensions = { 5: 'mp3', 6: 'flac', 7: 'flac', 27: 'flac' };
-        const extension = extensions[quality] || 'flac';
+        // Step 1: Prepare file paths
+        const extension = getTrackExtension(quality);
+        const fileName = getTrackFileName(track, quality);
         
-        // Sanitize function for filenames
-        const sanitize = (str) => {
-          if (!str) return 'Unknown';
-          return str
-            .replace(/[<>:"/\\|?*]/g, '') // Remove invalid chars
-            .replace(/\s+/g, ' ')         // Single spaces
-            .trim()
-            .substring(0, 80);            // Reasonable length
-        };
-        
-        // Build metadata with fallbacks
-        const trackTitle = sanitize(track?.title || 'Unknown Track');
-        const trackNumber = String(track?.track_number || 1).padStart(2, '0');
-        const fileName = `${trackNumber} - ${trackTitle}.${extension}`;
-        
-        // Use temp album directory for both temp file and final file
+        // Use temp album directory for the temp file, the FFmpeg output and the final file
         tempFilePath = path.join(tempAlbumDir, `temp_${trackDownloadId}.${extension}`);
+        processingFilePath = path.join(tempAlbumDir, `processing_${trackDownloadId}.${extension}`);
         const finalFilePath = path.join(tempAlbumDir, fileName);
         
         console.log(`File: ${fileName}`);
         
-        // Step 3: Write to temp file in album directory
-        const arrayBuffer = await response.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-        await fs.writeFile(tempFilePath, buffer);
-        console.log(`Downloaded to temp: ${buffer.length} bytes`);
+        // Step 2: Stream file to temp file in album directory, continuing a partial file from an earlier attempt
+        console.log(`Downloading file${attempt > 1 ? ` (attempt ${attempt}/${maxRetries})` : ''}...`);
+        onTrackUpdate({ status: 'downloading' });
+        const { size } = await transferService.downloadToFile(fileUrl, tempFilePath, {
+          signal,
+          resume: true,
+          onProgress: (progress) => onTrackUpdate({
+            status: 'downloading',
+            percent: progress.percent,
+            speed: progress.speed,
+            bytes: progress.bytes,
+            totalBytes: progress.totalBytes,
+            eta: progress.eta
+          })
+        });
+        console.log(`Downloaded to temp: ${size} bytes`);
+        
+        // Check what was delivered before spending time on tagging it
+        const qualityCheck = await verifyDeliveredQuality(tempFilePath, quality, track, album);
         
-        // Step 4: Process with FFmpeg (including album artwork embedding)
+        // Step 3: Process with FFmpeg (including album artwork embedding)
+        onTrackUpdate({ status: 'tagging' });
         console.log(`Processing with FFmpeg...`);
-        await processWithFFmpeg(tempFilePath, finalFilePath, track, album, albumArtworkPath);
+        await processWithFFmpeg(tempFilePath, processingFilePath, track, album, albumArtworkPath, signal);
         console.log(`FFmpeg completed`);
+
+        try {
+          await verifyFileIntegrity(processingFilePath, track.duration, signal);
+        } catch (integrityError) {
+          // A broken download must not be resumed on the next attempt - fetch it again from the start
+          throwIfStopped(signal);
+          await fs.remove(tempFilePath);
+          throw integrityError;
+        }
         
-        // Step 5: Set permissions for the processed file (in temp album directory)
+        // Only give the file its real name once it is complete, so a resumed album can trust it
+        await fs.move(processingFilePath, finalFilePath, { overwrite: true });
+        
+        // Step 4: Set permissions for the processed file (in temp album directory)
         try {
           await fs.chmod(finalFilePath, 0o666); // rw-rw-rw-
           console.log(`Set permissions for: ${fileName}`);
@@ -649,29 +1705,52 @@ async function downloadSingleTrackForAlbumToTemp(trackDownloadId, track, album,
         console.log(`Track completed in temp folder: ${finalFilePath}`);
         
         // Success - break out of retry loop
-        return;
+        completed = true;
+        return qualityCheck;
         
       } catch (error) {
+        // Do not retry a cancelled download, a file that would arrive the same way again, onto a full disk
+        // or while the upstream is failing
+        throwIfStopped(signal);
+        if (error.retryable === false || isDiskFullError(error) || upstreamScheduler.isOpen()) {
+          throw error;
+        }
+        
         console.error(`Track download failed (attempt ${attempt}/${maxRetries}): ${error.message}`);
         
+        // Retrying an expired URL can only fail again - ask the catalog for a fresh one and try it straight away.
+        // This does not use up an attempt, even the last one, but a URL that keeps expiring gives up
+        if (isExpiredUrlError(error)) {
+          if (urlRefreshes === MAX_URL_REFRESHES) {
+            throw new Error(`Download URL still expired after ${MAX_URL_REFRESHES} refreshes: ${error.message}`);
+          }
+          urlRefreshes++;
+          console.log(`Download URL expired, requesting a new one...`);
+          fileUrl = await catalog.getFileUrl(track.id, quality, { signal });
+          onTrackUpdate({ status: 'downloading', urlRefreshed: true });
+          continue;
+        }
+        
         // If this was the last attempt, re-throw the error
         if (attempt === maxRetries) {
           throw new Error(`Track download failed after ${maxRetries} attempts: ${error.message}`);
         }
         
-        // Wait before retrying (exponential backoff)
-        const waitTime = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s
+        const waitTime = upstreamScheduler.getRetryDelay(attempt);
         console.log(`Retrying file download in ${waitTime / 1000} seconds...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+        onTrackUpdate({ status: 'retrying', retryIn: waitTime / 1000, error: error.message });
+        await delay(waitTime, signal);
+        attempt++;
       }
     }
   } finally {
-    // CRITICAL: Always clean up individual track temp file
-    if (tempFilePath) {
+    // CRITICAL: Always clean up individual track temp files (a track stopped by a pause keeps its partial download)
+    for (const leftoverPath of [isPausedSignal(signal) && !completed ? null : tempFilePath, processingFilePath]) {
+      if (!leftoverPath) continue;
       try {
-        if (await fs.pathExists(tempFilePath)) {
-          await fs.remove(tempFilePath);
-          console.log(`FINALLY: Cleaned up individual track temp file: ${path.basename(tempFilePath)}`);
+        if (await fs.pathExists(leftoverPath)) {
+          await fs.remove(leftoverPath);
+          console.log(`FINALLY: Cleaned up individual track temp file: ${path.basename(leftoverPath)}`);
         }
       } catch (cleanupError) {
         console.error(`FINALLY: Failed to clean up individual track temp file:`, cleanupError.message);
@@ -680,8 +1759,55 @@ async function downloadSingleTrackForAlbumToTemp(trackDownloadId, track, album,
   }
 }
 
+// File extension for a quality id
+function getTrackExtension(quality) {
+  const extensions = { 5: 'mp3', 6: 'flac', 7: 'flac', 27: 'flac' };
+  return extensions[quality] || 'flac';
+}
+
+// Album folder name inside the library, e.g. "Artist - Album (2020)"
+function getAlbumFolderName(album, artist = album?.artist?.name) {
+  const sanitize = (str) => {
+    if (!str) return 'Unknown';
+    return str
+      .replace(/[<>:"/\\|?*]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 80);
+  };
+  
+  const artistName = sanitize(artist || 'Unknown Artist');
+  const albumTitle = sanitize(album?.title || 'Unknown Album');
+  let year = '';
+  if (album?.release_date_original) {
+    try {
+      year = new Date(album.release_date_original).getFullYear();
+    } catch (e) {
+      console.log(`Could not parse year from: ${album.release_date_original}`);
+    }
+  }
+  
+  return year ? `${artistName} - ${albumTitle} (${year})` : `${artistName} - ${albumTitle}`;
+}
+
+// File name used for a track inside its album folder, e.g. "01 - Title.flac"
+function getTrackFileName(track, quality) {
+  const sanitize = (str) => {
+    if (!str) return 'Unknown';
+    return str
+      .replace(/[<>:"/\\|?*]/g, '') // Remove invalid chars
+      .replace(/\s+/g, ' ')         // Single spaces
+      .trim()
+      .substring(0, 80);            // Reasonable length
+  };
+  
+  const trackTitle = sanitize(track?.title || 'Unknown Track');
+  const trackNumber = String(track?.track_number || 1).padStart(2, '0');
+  return `${trackNumber} - ${trackTitle}.${getTrackExtension(quality)}`;
+}
+
 // Function to download album artwork
-async function downloadAlbumArtwork(album, albumDir) {
+async function downloadAlbumArtwork(album, albumDir, signal) {
   try {
     const coverPath = path.join(albumDir, 'Cover.jpg');
     
@@ -691,26 +1817,13 @@ async function downloadAlbumArtwork(album, albumDir) {
       return coverPath;
     }
     
-    // Get the best quality image URL
-    const imageUrl = album?.image?.large || album?.cover || album?.image?.medium || album?.image?.small;
-    
-    if (!imageUrl) {
-      console.log(`No album artwork available`);
-      return null;
-    }
-    
     console.log(`Downloading album artwork...`);
     
-    const response = await fetch(imageUrl);
-    
-    if (!response.ok) {
-      console.log(`Failed to download artwork: ${response.status}`);
+    const buffer = await catalog.getArtwork(album, { signal });
+    if (!buffer) {
       return null;
     }
     
-    const imageBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(imageBuffer);
-    
     await fs.writeFile(coverPath, buffer);
     
     // Set user-friendly permissions for the cover image
@@ -718,14 +1831,135 @@ async function downloadAlbumArtwork(album, albumDir) {
     
     console.log(`Album artwork saved: Cover.jpg (${Math.round(buffer.length / 1024)} KB)`);
     
-    return coverPath;
+    return coverPath;
+    
+  } catch (error) {
+    console.error(`Failed to download album artwork:`, error.message);
+    return null;
+  }
+}
+
+// Hidden folders next to an album in the library, holding the new version while it is moved in and the
+// old one while it is replaced
+function getSwapDirs(albumDir) {
+  const name = path.basename(albumDir);
+  return {
+    incomingDir: path.join(path.dirname(albumDir), `.${name}.upgrading`),
+    previousDir: path.join(path.dirname(albumDir), `.${name}.previous`)
+  };
+}
+
+// Replace an album folder with a new version. The new version is first moved next to the album - a copy
+// when temp is on another disk - so the swap itself is two renames on the same filesystem, and the old
+// version stays in the library until the new one is in place.
+async function swapAlbumFolder(newDir, albumDir) {
+  if (!await fs.pathExists(albumDir)) {
+    await fs.move(newDir, albumDir);
+    return;
+  }
+  
+  const { incomingDir, previousDir } = getSwapDirs(albumDir);
+  await fs.remove(incomingDir);
+  try {
+    await fs.move(newDir, incomingDir);
+  } catch (error) {
+    await fs.remove(incomingDir).catch(() => {});
+    throw error;
+  }
+  
+  await fs.rename(albumDir, previousDir);
+  try {
+    await fs.rename(incomingDir, albumDir);
+  } catch (error) {
+    await fs.rename(previousDir, albumDir);
+    await fs.remove(incomingDir).catch(() => {});
+    throw error;
+  }
+  
+  await fs.remove(previousDir);
+  console.log(`Replaced album folder with the upgraded version`);
+}
+
+// Finish album swaps cut short by a restart: an old version whose album folder is gone is put back,
+// and anything else left over from a swap is removed
+async function recoverAlbumSwaps() {
+  const musicDir = process.env.DOWNLOAD_PATH || '/app/music';
+  const entries = await fs.readdir(musicDir).catch(() => []);
+  
+  for (const entry of entries) {
+    const match = entry.match(/^\.(.+)\.(previous|upgrading)$/);
+    if (!match) continue;
+    
+    const albumDir = path.join(musicDir, match[1]);
+    const leftoverDir = path.join(musicDir, entry);
+    try {
+      if (match[2] === 'previous' && !await fs.pathExists(albumDir)) {
+        await fs.rename(leftoverDir, albumDir);
+        console.log(`Restored album folder from an interrupted upgrade: ${match[1]}`);
+      } else {
+        await fs.remove(leftoverDir);
+        console.log(`Removed leftover from an interrupted upgrade: ${entry}`);
+      }
+    } catch (error) {
+      console.error(`Could not recover interrupted upgrade of ${match[1]}:`, error.message);
+    }
+  }
+}
+
+// Move files from a staging folder into an existing album folder, keeping files that are already there
+// unless they are listed in replaceFiles
+async function mergeIntoAlbumFolder(sourceDir, albumDir, replaceFiles = []) {
+  await fs.ensureDir(albumDir);
+  
+  for (const file of await fs.readdir(sourceDir)) {
+    const destination = path.join(albumDir, file);
+    const replace = replaceFiles.includes(file);
+    if (!replace && await fs.pathExists(destination)) {
+      console.log(`Keeping existing file: ${file}`);
+      continue;
+    }
+    
+    await fs.move(path.join(sourceDir, file), destination, { overwrite: replace });
+    console.log(`Added to album folder: ${file}`);
+  }
+}
+
+// Move a finished file into the library in one step. It is first moved next to its destination under a
+// hidden name and checked against the original size, then renamed into place, so a media server scanning
+// the folder never sees a partial file, even when temp and library are on different disks.
+async function moveFileIntoLibrary(sourcePath, destinationPath) {
+  const partialPath = path.join(path.dirname(destinationPath), `.${path.basename(destinationPath)}.partial`);
+  const { size } = await fs.stat(sourcePath);
+  
+  try {
+    await fs.move(sourcePath, partialPath, { overwrite: true });
+    
+    const moved = await fs.stat(partialPath);
+    if (moved.size !== size) {
+      throw new Error(`Moved file has ${moved.size} of ${size} bytes`);
+    }
     
+    await fs.rename(partialPath, destinationPath);
   } catch (error) {
-    console.error(`Failed to download album artwork:`, error.message);
-    return null;
+    await fs.remove(partialPath).catch(() => {});
+    throw error;
   }
 }
 
+// After a retry, only the tracks that failed again stay listed as failed on the original album
+function updateRetriedHistoryItem(historyId, retryDownloadInfo) {
+  const original = downloadHistory.find(item => item.id === historyId);
+  if (!original?.failedTracks) return;
+  
+  const retried = new Map((retryDownloadInfo.tracks || []).map(entry => [String(entry.id), entry]));
+  original.failedTracks = original.failedTracks
+    .filter(failed => retried.get(String(failed.id))?.status !== 'done')
+    .map(failed => ({ ...failed, error: retried.get(String(failed.id))?.error || failed.error }));
+  
+  console.log(`${original.failedTracks.length} track(s) of "${original.title}" still failed after retry`);
+  saveDownloadHistory();
+}
+
 // Function to set final permissions on entire album folder and all contents
 async function setFinalAlbumPermissions(albumDir) {
   try {
@@ -761,8 +1995,11 @@ async function setFinalAlbumPermissions(albumDir) {
 }
 
 // Main download function with FFmpeg processing
-async function startFileDownloadWithProcessing(downloadId, trackId, fileUrl, quality, track, album) {
-  let tempFilePath = null;
+async function startFileDownloadWithProcessing(downloadId, trackId, quality, track, album, signal, { onDuplicate = 'skip' } = {}) {
+  let stagingDir = null;
+  let finalFilePath = null;
+  // Set only when the track stops paused - not when a pause arrives after it has finished
+  let stoppedPaused = false;
   
   try {
     console.log(`\n=== STARTING DOWNLOAD ${downloadId} ===`);
@@ -771,6 +2008,7 @@ async function startFileDownloadWithProcessing(downloadId, trackId, fileUrl, qua
     console.log(`Album: "${album?.title || 'Unknown'}" by ${album?.artist?.name || 'Unknown'}`);
     
     const downloadInfo = {
+      ...activeDownloads.get(downloadId),
       id: downloadId,
       trackId,
       quality,
@@ -784,85 +2022,115 @@ async function startFileDownloadWithProcessing(downloadId, trackId, fileUrl, qua
     activeDownloads.set(downloadId, downloadInfo);
     broadcast({ type: 'download_update', data: downloadInfo });
     
-    // Step 1: Download file
-    console.log(`Downloading file...`);
-    const response = await fetch(fileUrl);
-    if (!response.ok) {
-      throw new Error(`File download failed: ${response.status}`);
-    }
-    
-    const totalSize = parseInt(response.headers.get('content-length') || '0');
-    console.log(`File size: ${Math.round(totalSize / 1024 / 1024)} MB`);
-    
-    // Step 2: Prepare file paths
-    const extensions = { 5: 'mp3', 6: 'flac', 7: 'flac', 27: 'flac' };
-    const extension = extensions[quality] || 'flac';
-    
-    // Sanitize function for filenames
-    const sanitize = (str) => {
-      if (!str) return 'Unknown';
-      return str
-        .replace(/[<>:"/\\|?*]/g, '') // Remove invalid chars
-        .replace(/\s+/g, ' ')         // Single spaces
-        .trim()
-        .substring(0, 80);            // Reasonable length
+    // Finish without touching the library when the track is already there
+    const completeAsSkipped = (existingPath) => {
+      console.log(`Track already in library, skipping download`);
+      Object.assign(downloadInfo, {
+        status: 'completed',
+        progress: 100,
+        skipped: true,
+        filePath: existingPath,
+        endTime: new Date().toISOString()
+      });
+      broadcast({ type: 'download_update', data: downloadInfo });
+      
+      setTimeout(() => {
+        activeDownloads.delete(downloadId);
+        broadcast({ type: 'download_removed', data: { id: downloadId } });
+      }, 15000);
     };
     
-    // Build metadata with fallbacks
-    const trackTitle = sanitize(track?.title || 'Unknown Track');
-    const artistName = sanitize(track?.performer?.name || album?.artist?.name || 'Unknown Artist');
-    const albumTitle = sanitize(album?.title || 'Unknown Album');
-    const trackNumber = String(track?.track_number || 1).padStart(2, '0');
-    
-    // Get year
-    let year = '';
-    if (album?.release_date_original) {
-      try {
-        year = new Date(album.release_date_original).getFullYear();
-      } catch (e) {
-        console.log(`Could not parse year from: ${album.release_date_original}`);
-      }
-    }
+    // Step 1: Get download URL (requested now so it is fresh after waiting in the queue)
+    const fileUrl = await catalog.getFileUrl(trackId, quality, { signal });
     
-    // Create final paths
-    const albumFolderName = year ? `${artistName} - ${albumTitle} (${year})` : `${artistName} - ${albumTitle}`;
-    const fileName = `${trackNumber} - ${trackTitle}.${extension}`;
+    // Step 2: Prepare file paths - the same ones the duplicate check looks at
+    const albumFolderName = getAlbumFolderName(album, track?.performer?.name || album?.artist?.name);
+    const fileName = getTrackFileName(track, quality);
     
     const musicDir = process.env.DOWNLOAD_PATH || '/app/music';
     const tempDir = process.env.TEMP_PATH || '/app/temp';
     const albumDir = path.join(musicDir, albumFolderName);
     
-    tempFilePath = path.join(tempDir, `${downloadId}.${extension}`);
-    const finalFilePath = path.join(albumDir, fileName);
+    // Like albums, the track is downloaded and tagged in temp and only moved into the library when it is done
+    stagingDir = path.join(tempDir, `track_${downloadId}`);
+    const stagingFilePath = path.join(stagingDir, fileName);
+    finalFilePath = path.join(albumDir, fileName);
     
     console.log(`Album folder: ${albumFolderName}`);
     console.log(`File name: ${fileName}`);
     console.log(`Final path: ${finalFilePath}`);
     
-    // Step 3: Create directories
+    // The file may have appeared since the download was queued
+    if (await fs.pathExists(finalFilePath) && onDuplicate === 'skip') {
+      completeAsSkipped(finalFilePath);
+      return;
+    }
+    
+    // Step 3: Create temp directories - the album folder is only created once the track is ready
     await fs.ensureDir(tempDir);
-    await fs.ensureDir(albumDir);
+    await fs.ensureDir(stagingDir);
     console.log(`Created directories`);
     
-    // Step 4: Download album artwork
-    const albumArtworkPath = await downloadAlbumArtwork(album || track?.album, albumDir);
+    // Step 4: Use the album's cover from the library, or download it to the staging folder
+    const libraryCoverPath = path.join(albumDir, 'Cover.jpg');
+    const albumArtworkPath = await fs.pathExists(libraryCoverPath)
+      ? libraryCoverPath
+      : await downloadAlbumArtwork(album || track?.album, stagingDir, signal);
+    
+    // Step 5: Download, check, tag and verify the track in the staging folder, retrying the way album tracks do
+    const qualityCheck = await downloadTrackToTemp(downloadId, { ...track, id: trackId }, album, fileUrl, quality, stagingDir, albumArtworkPath, signal, (update) => {
+      if (update.status === 'retrying') {
+        downloadInfo.status = `retry in ${update.retryIn}s`;
+        downloadInfo.error = update.error;
+      } else {
+        downloadInfo.status = update.status === 'tagging' ? 'processing' : update.status;
+        delete downloadInfo.error;
+      }
+      if (update.urlRefreshed) {
+        downloadInfo.urlRefreshes = (downloadInfo.urlRefreshes || 0) + 1;
+      }
+      if (update.percent !== undefined) {
+        downloadInfo.progress = update.percent || 0;
+        downloadInfo.bytesDownloaded = update.bytes;
+        downloadInfo.totalBytes = update.totalBytes;
+        downloadInfo.speed = update.speed;
+        downloadInfo.eta = update.eta;
+      }
+      broadcast({ type: 'download_update', data: downloadInfo });
+    });
+    recordQualityCheck(downloadInfo, qualityCheck);
     
-    // Step 5: Write to temp file
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-    await fs.writeFile(tempFilePath, buffer);
-    console.log(`Downloaded to temp file: ${buffer.length} bytes`);
+    downloadInfo.progress = 100;
+    downloadInfo.fileSize = (await fs.stat(stagingFilePath)).size;
     
-    // Update progress
-    downloadInfo.progress = 50;
-    downloadInfo.status = 'processing';
-    downloadInfo.fileSize = buffer.length;
+    // Step 6: Move into the library, handling a file that appeared there in the meantime the same way as above
+    throwIfStopped(signal);
+    downloadInfo.status = 'moving files';
     broadcast({ type: 'download_update', data: downloadInfo });
     
-    // Step 6: Process with FFmpeg
-    console.log(`Starting FFmpeg processing...`);
-    await processWithFFmpeg(tempFilePath, finalFilePath, track, album, albumArtworkPath);
-    console.log(`FFmpeg processing completed`);
+    if (await fs.pathExists(finalFilePath)) {
+      if (onDuplicate === 'skip') {
+        completeAsSkipped(finalFilePath);
+        return;
+      }
+      if (onDuplicate === 'keepBoth') {
+        finalFilePath = await libraryService.getAvailablePath(finalFilePath);
+        console.log(`File exists, keeping both: ${path.basename(finalFilePath)}`);
+      }
+    }
+    
+    await fs.ensureDir(albumDir);
+    await moveFileIntoLibrary(stagingFilePath, finalFilePath);
+    console.log(`Moved to library: ${finalFilePath}`);
+    
+    // A cover downloaded for this track is added to the album folder if it has none yet
+    if (albumArtworkPath && albumArtworkPath !== libraryCoverPath && !await fs.pathExists(libraryCoverPath)) {
+      try {
+        await moveFileIntoLibrary(albumArtworkPath, libraryCoverPath);
+      } catch (coverError) {
+        console.log(`Could not add cover to album folder:`, coverError.message);
+      }
+    }
     
     // Step 7: Complete
     downloadInfo.status = 'completed';
@@ -886,42 +2154,58 @@ async function startFileDownloadWithProcessing(downloadId, trackId, fileUrl, qua
     }, 15000);
     
   } catch (error) {
-    console.error(`=== DOWNLOAD FAILED ===`);
-    console.error(`Error:`, error.message);
+    stopForTemporaryProblem(downloadId, error);
+    const paused = isPausedSignal(signal);
+    const cancelled = !!signal?.aborted && !paused;
+    if (paused || cancelled) {
+      console.log(`=== DOWNLOAD ${paused ? 'PAUSED' : 'CANCELLED'} ===`);
+    } else {
+      console.error(`=== DOWNLOAD FAILED ===`);
+      console.error(`Error:`, error.message);
+    }
     
     const downloadInfo = activeDownloads.get(downloadId);
-    if (downloadInfo) {
-      downloadInfo.status = 'failed';
-      downloadInfo.error = error.message;
+    if (downloadInfo && paused) {
+      // A paused track continues from its partial download when it is resumed
+      stoppedPaused = true;
+      downloadInfo.status = 'paused';
+      broadcast({ type: 'download_update', data: downloadInfo });
+    } else if (downloadInfo) {
+      downloadInfo.status = cancelled ? 'cancelled' : 'failed';
+      if (!cancelled) {
+        downloadInfo.error = error.message;
+      }
       downloadInfo.endTime = new Date().toISOString();
       
-      // Add failed download to history too
+      // Add failed or cancelled download to history too
       addToHistory(downloadInfo, track, album);
       
       broadcast({ type: 'download_update', data: downloadInfo });
       
       setTimeout(() => {
         activeDownloads.delete(downloadId);
-      }, 15000);
+        broadcast({ type: 'download_removed', data: { id: downloadId } });
+      }, cancelled ? 5000 : 15000);
     }
   } finally {
-    // CRITICAL: Always clean up temp file regardless of success/failure
-    if (tempFilePath) {
+    // CRITICAL: Always clean up the staging folder regardless of success/failure (a paused track keeps its partial download)
+    if (stagingDir && !stoppedPaused) {
       try {
-        if (await fs.pathExists(tempFilePath)) {
-          await fs.remove(tempFilePath);
-          console.log(`FINALLY: Cleaned up single track temp file: ${path.basename(tempFilePath)}`);
-        }
+        await fs.remove(stagingDir);
       } catch (cleanupError) {
-        console.error(`FINALLY: Failed to clean up single track temp file:`, cleanupError.message);
+        console.error(`FINALLY: Failed to clean up track staging folder:`, cleanupError.message);
       }
     }
   }
 }
 
 // FFmpeg processing function with proper album artwork embedding
-async function processWithFFmpeg(inputFile, outputFile, track, album, albumArtworkPath) {
+async function processWithFFmpeg(inputFile, outputFile, track, album, albumArtworkPath, signal) {
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(stopError(signal));
+    }
+    
     console.log(`FFmpeg: ${path.basename(inputFile)} -> ${path.basename(outputFile)}`);
     
     const command = ffmpeg(inputFile);
@@ -1020,6 +2304,19 @@ async function processWithFFmpeg(inputFile, outputFile, track, album, albumArtwo
       reject(new Error('FFmpeg processing timeout'));
     }, 30000);
     
+    // Kill FFmpeg if the download is cancelled or paused while it runs
+    const onAbort = () => {
+      clearTimeout(timeout);
+      console.log(`Download stopped, terminating FFmpeg...`);
+      try {
+        command.kill('SIGKILL');
+      } catch (killError) {
+        console.log(`Could not kill FFmpeg process:`, killError.message);
+      }
+      reject(stopError(signal));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
     command
       .output(outputFile)
       .on('start', (commandLine) => {
@@ -1032,11 +2329,13 @@ async function processWithFFmpeg(inputFile, outputFile, track, album, albumArtwo
       })
       .on('end', () => {
         clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
         console.log(`FFmpeg completed successfully`);
         resolve();
       })
       .on('error', (err) => {
         clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
         console.error(`FFmpeg error: ${err.message}`);
         reject(err);
       })
@@ -1044,12 +2343,80 @@ async function processWithFFmpeg(inputFile, outputFile, track, album, albumArtwo
   });
 }
 
+// Decode a file end to end to make sure it is intact: any decode or CRC error fails the check, and so
+// does a file that decodes to less than the catalog duration. Rejects with the problem found.
+async function verifyFileIntegrity(filePath, expectedDuration, signal) {
+  const decodedSeconds = await new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(stopError(signal));
+    }
+    
+    console.log(`Verifying: ${path.basename(filePath)}`);
+    
+    const command = ffmpeg(filePath)
+      .inputOptions('-err_detect', 'crccheck')
+      .outputOptions('-map', '0:a', '-xerror', '-f', 'null');
+    
+    const timeout = setTimeout(() => {
+      console.log(`Verification timeout (120s), terminating...`);
+      try {
+        command.kill('SIGKILL');
+      } catch (killError) {
+        console.log(`Could not kill FFmpeg process:`, killError.message);
+      }
+      reject(new Error('Integrity check timeout'));
+    }, 120000);
+    
+    const onAbort = () => {
+      clearTimeout(timeout);
+      try {
+        command.kill('SIGKILL');
+      } catch (killError) {
+        console.log(`Could not kill FFmpeg process:`, killError.message);
+      }
+      reject(stopError(signal));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    command
+      .output('-')
+      .on('end', (stdout, stderr) => {
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
+        
+        // The last progress line tells how much audio was decoded, e.g. "time=00:03:25.41"
+        const times = [...(stderr || '').matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+        const last = times[times.length - 1];
+        resolve(last ? Number(last[1]) * 3600 + Number(last[2]) * 60 + Number(last[3]) : null);
+      })
+      .on('error', (err, stdout, stderr) => {
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
+        const lines = (stderr || '').trim().split('\n');
+        reject(new Error(`Integrity check failed: ${lines[lines.length - 1] || err.message}`));
+      })
+      .run();
+  });
+  
+  if (expectedDuration && decodedSeconds !== null && decodedSeconds < expectedDuration - manifestService.durationTolerance) {
+    throw new Error(`Integrity check failed: decoded ${Math.round(decodedSeconds)}s of ${expectedDuration}s`);
+  }
+  
+  console.log(`Verified: ${path.basename(filePath)}${decodedSeconds !== null ? ` (${decodedSeconds.toFixed(1)}s)` : ''}`);
+}
+
 // Get download status
 app.get('/api/downloads', (req, res) => {
   const active = Array.from(activeDownloads.values());
+  const queueStatus = downloadQueue.getStatus();
   res.json({
     active,
-    queue: 0
+    queue: queueStatus.queued,
+    scheduled: queueStatus.scheduled,
+    held: queueStatus.held,
+    order: downloadQueue.getOrder(),
+    paused: queueStatus.paused,
+    maxConcurrent: queueStatus.maxConcurrent
   });
 });
 
@@ -1066,17 +2433,435 @@ app.get('/api/history', (req, res) => {
   }
 });
 
+// Resolve an album folder given by the client, refusing anything outside the music library
+function resolveLibraryAlbumDir(albumPath) {
+  if (!albumPath) return null;
+  
+  const libraryRoot = path.resolve(process.env.DOWNLOAD_PATH || '/app/music');
+  const albumDir = path.resolve(libraryRoot, albumPath);
+  return albumDir.startsWith(libraryRoot + path.sep) ? albumDir : null;
+}
+
+// Check an album folder against its manifest
+app.get('/api/library/album/check', async (req, res) => {
+  try {
+    const albumDir = resolveLibraryAlbumDir(req.query.path);
+    if (!albumDir) {
+      return res.status(400).json({ error: 'Album path must be inside the music library' });
+    }
+    
+    const result = await manifestService.check(albumDir);
+    if (!result) {
+      return res.status(404).json({ error: 'No manifest found for this album folder' });
+    }
+    
+    console.log(`Checked "${result.title}": ${result.missing} missing, ${result.corrupt} corrupt`);
+    res.json(result);
+  } catch (error) {
+    console.error('Album check error:', error);
+    res.status(500).json({ error: 'Album check failed', details: error.message });
+  }
+});
+
+// Re-download the missing and corrupt tracks of an album folder
+app.post('/api/library/album/repair', async (req, res) => {
+  try {
+    const albumDir = resolveLibraryAlbumDir(req.body.path);
+    if (!albumDir) {
+      return res.status(400).json({ error: 'Album path must be inside the music library' });
+    }
+    
+    const result = await manifestService.check(albumDir);
+    if (!result) {
+      return res.status(404).json({ error: 'No manifest found for this album folder' });
+    }
+    
+    const broken = result.tracks.filter(track => track.status !== 'ok');
+    if (broken.length === 0) {
+      return res.json({ message: 'Album is complete', missing: 0, corrupt: 0 });
+    }
+    
+    const fullAlbum = await catalog.getAlbum(result.albumId);
+    const brokenIds = new Set(broken.map(track => String(track.id)));
+    const tracks = (fullAlbum.tracks?.items || []).filter(track => brokenIds.has(String(track.id)));
+    
+    if (tracks.length === 0) {
+      return res.status(400).json({ error: 'The missing tracks are no longer part of this album' });
+    }
+    
+    const downloadId = createDownloadId('album');
+    enqueueDownload({
+      id: downloadId,
+      type: 'album',
+      albumId: result.albumId,
+      album: { ...fullAlbum, tracks: { ...fullAlbum.tracks, items: tracks } },
+      quality: result.quality || 7,
+      targetDir: albumDir,
+      replaceFiles: broken.filter(track => track.status === 'corrupt').map(track => track.fileName)
+    });
+    
+    console.log(`Repairing "${result.title}": ${result.missing} missing, ${result.corrupt} corrupt`);
+    
+    res.json({
+      downloadId,
+      message: `Re-downloading ${tracks.length} track${tracks.length === 1 ? '' : 's'}`,
+      missing: result.missing,
+      corrupt: result.corrupt,
+      queuePosition: downloadQueue.getPosition(downloadId)
+    });
+  } catch (error) {
+    console.error('Album repair error:', error);
+    sendCatalogError(res, error, 'Album repair failed');
+  }
+});
+
+// The catalog album a library folder holds: from its manifest, from the history entry of the download
+// that wrote it, or by searching the catalog for the artist and album in its tags. Null if none matches.
+async function identifyLibraryAlbum(albumDir, manifest) {
+  if (manifest?.albumId) {
+    return { albumId: manifest.albumId, title: manifest.title, artist: manifest.artist, identifiedBy: 'manifest' };
+  }
+  
+  const historyItem = downloadHistory.find(item => item.type === 'album' && item.albumId && item.filePath === albumDir);
+  if (historyItem) {
+    return { albumId: historyItem.albumId, title: historyItem.title, artist: historyItem.artist, identifiedBy: 'history' };
+  }
+  
+  const tags = await libraryService.readAlbumTags(albumDir);
+  if (!tags) return null;
+  
+  const results = await searchCatalog(`${tags.artist || ''} ${tags.title}`, { type: 'albums', limit: 10 });
+  const match = results.albums.items.find(item => libraryService.isSameAlbum(item, tags));
+  return match ? { albumId: match.id, title: match.title, artist: match.artist?.name, identifiedBy: 'tags' } : null;
+}
+
+// Library albums stored below the given quality that the catalog has in better quality, each with
+// the catalog album in `album`. Folders that can't be matched to a catalog album are only counted,
+// and those whose catalog lookup failed are listed in `unavailable`.
+async function findUpgradeCandidates(targetQuality) {
+  const albums = [];
+  const unidentified = [];
+  const unavailable = [];
+  
+  for (const { albumDir, manifest } of await libraryService.listAlbums()) {
+    let quality = manifest?.quality || await libraryService.detectQuality(albumDir);
+    if (!quality || !isHigherQuality(targetQuality, quality)) continue;
+    
+    // Manifests written before 24-bit at 44.1/48 kHz counted as Hi-Res can understate the album,
+    // so go by the files when they can be read
+    if (manifest?.quality) {
+      quality = await libraryService.detectQuality(albumDir) || quality;
+      if (!isHigherQuality(targetQuality, quality)) continue;
+    }
+    
+    try {
+      const identified = await identifyLibraryAlbum(albumDir, manifest);
+      if (!identified) {
+        unidentified.push(path.basename(albumDir));
+        continue;
+      }
+      
+      // Nothing to gain when the catalog has nothing better than what is on disk
+      const album = await getCatalogAlbum(identified.albumId);
+      const availableQuality = getBestAvailableQuality(album, targetQuality);
+      if (!isHigherQuality(availableQuality, quality)) continue;
+      
+      albums.push({
+        path: albumDir,
+        ...identified,
+        title: identified.title || album.title,
+        artist: identified.artist || album.artist?.name,
+        quality,
+        qualityName: getQualityName(quality),
+        targetQuality: availableQuality,
+        targetQualityName: getQualityName(availableQuality),
+        album
+      });
+    } catch (error) {
+      unavailable.push({ path: albumDir, title: manifest?.title || path.basename(albumDir), reason: error.message });
+    }
+  }
+  
+  return { albums, unidentified, unavailable };
+}
+
+// Album folders that already have an upgrade queued or running
+function getQueuedUpgrades() {
+  return new Set([...downloadQueue.running.values(), ...downloadQueue.pending]
+    .filter(job => job.upgradeOf)
+    .map(job => job.upgradeOf));
+}
+
+// List library albums that could be upgraded to the default (or given) quality
+app.get('/api/library/upgrades', async (req, res) => {
+  try {
+    const quality = Number(req.query.quality || settings.defaultQuality);
+    if (!QUALITY_ORDER.includes(quality)) {
+      return res.status(400).json({ error: `Quality must be one of: ${QUALITY_ORDER.join(', ')}` });
+    }
+    
+    const { albums, unidentified, unavailable } = await findUpgradeCandidates(quality);
+    const queued = getQueuedUpgrades();
+    
+    res.json({
+      quality,
+      qualityName: getQualityName(quality),
+      albums: albums.map(({ album, ...candidate }) => ({ ...candidate, queued: queued.has(candidate.path) })),
+      unidentified,
+      unavailable
+    });
+  } catch (error) {
+    console.error('Upgrade scan error:', error);
+    res.status(500).json({ error: 'Library scan failed', details: error.message });
+  }
+});
+
+// Queue replacements for library albums stored below the default (or given) quality.
+// paths limits the upgrade to some of the albums found by the scan.
+app.post('/api/library/upgrade', async (req, res) => {
+  try {
+    const quality = Number(req.body.quality || settings.defaultQuality);
+    if (!QUALITY_ORDER.includes(quality)) {
+      return res.status(400).json({ error: `Quality must be one of: ${QUALITY_ORDER.join(', ')}` });
+    }
+    
+    const { albums, unavailable } = await findUpgradeCandidates(quality);
+    const wanted = Array.isArray(req.body.paths) ? new Set(req.body.paths.map(resolveLibraryAlbumDir)) : null;
+    const queuedUpgrades = getQueuedUpgrades();
+    const queued = [];
+    const skipped = unavailable.filter(item => !wanted || wanted.has(item.path));
+    
+    for (const candidate of albums) {
+      if (wanted && !wanted.has(candidate.path)) continue;
+      
+      if (queuedUpgrades.has(candidate.path)) {
+        skipped.push({ path: candidate.path, title: candidate.title, reason: 'Upgrade already queued' });
+        continue;
+      }
+      
+      const { album, targetQuality } = candidate;
+      const downloadId = createDownloadId('album');
+      enqueueDownload({
+        id: downloadId,
+        type: 'album',
+        albumId: candidate.albumId,
+        album,
+        quality: targetQuality,
+        priority: 'low',
+        upgradeOf: candidate.path,
+        upgradeFrom: candidate.quality
+      });
+      
+      queued.push({
+        downloadId,
+        path: candidate.path,
+        title: candidate.title,
+        from: candidate.qualityName,
+        to: getQualityName(targetQuality)
+      });
+    }
+    
+    console.log(`Library upgrade to ${getQualityName(quality)}: ${queued.length} queued, ${skipped.length} skipped`);
+    
+    res.json({
+      message: queued.length > 0
+        ? `Upgrading ${queued.length} album${queued.length === 1 ? '' : 's'}`
+        : 'No albums to upgrade',
+      queued,
+      skipped
+    });
+  } catch (error) {
+    console.error('Library upgrade error:', error);
+    res.status(500).json({ error: 'Library upgrade failed', details: error.message });
+  }
+});
+
+// Download the failed tracks of an album from history into its existing folder
+app.post('/api/history/:id/retry-failed', async (req, res) => {
+  try {
+    const historyItem = downloadHistory.find(item => item.id === req.params.id);
+    if (!historyItem) {
+      return res.status(404).json({ error: 'History item not found' });
+    }
+    
+    if (historyItem.upgradedFrom) {
+      return res.status(400).json({ error: 'A failed upgrade leaves the old album in place - upgrade the album again instead' });
+    }
+    
+    if (historyItem.type !== 'album' || !historyItem.albumId || !historyItem.failedTracks?.length) {
+      return res.status(400).json({ error: 'This download has no failed tracks to retry' });
+    }
+    
+    // Fetch the album again so the retried tracks are named and tagged like the rest
+    const fullAlbum = await catalog.getAlbum(historyItem.albumId);
+    const failedIds = new Set(historyItem.failedTracks.map(track => String(track.id)));
+    const tracks = (fullAlbum.tracks?.items || []).filter(track => failedIds.has(String(track.id)));
+    
+    if (tracks.length === 0) {
+      return res.status(400).json({ error: 'The failed tracks are no longer part of this album' });
+    }
+    
+    const downloadId = createDownloadId('album');
+    const album = { ...fullAlbum, tracks: { ...fullAlbum.tracks, items: tracks } };
+    
+    enqueueDownload({
+      id: downloadId,
+      type: 'album',
+      albumId: historyItem.albumId,
+      album,
+      quality: historyItem.qualityId || 7,
+      targetDir: historyItem.filePath,
+      retryOf: historyItem.id
+    });
+    
+    console.log(`Retrying ${tracks.length} failed track(s) of "${historyItem.title}"`);
+    
+    res.json({
+      downloadId,
+      message: `Retrying ${tracks.length} failed track${tracks.length === 1 ? '' : 's'}`,
+      trackCount: tracks.length,
+      queuePosition: downloadQueue.getPosition(downloadId)
+    });
+  } catch (error) {
+    console.error('Retry failed tracks error:', error);
+    sendCatalogError(res, error, 'Retry failed');
+  }
+});
+
 // Cancel download
-app.delete('/api/download/:id', (req, res) => {
+app.delete('/api/download/:id', async (req, res) => {
   const { id } = req.params;
-  if (activeDownloads.has(id)) {
-    activeDownloads.delete(id);
-    console.log(`Download cancelled: ${id}`);
-    broadcast({ type: 'download_removed', data: { id } });
-    res.json({ message: 'Download cancelled' });
-  } else {
-    res.status(404).json({ error: 'Download not found' });
+  if (!activeDownloads.has(id)) {
+    return res.status(404).json({ error: 'Download not found' });
+  }
+  
+  // Running job - abort it; the job records the cancellation and cleans up itself
+  const controller = downloadControllers.get(id);
+  if (controller) {
+    const downloadInfo = activeDownloads.get(id);
+    
+    // Already stopping for a pause - drop it once it has stopped
+    if (controller.signal.aborted) {
+      downloadInfo.cancelRequested = true;
+      return res.json({ message: 'Download cancelling' });
+    }
+    
+    downloadInfo.status = 'cancelling';
+    broadcast({ type: 'download_update', data: downloadInfo });
+    
+    controller.abort('cancelled');
+    console.log(`Download cancelling: ${id}`);
+    return res.json({ message: 'Download cancelling' });
+  }
+  
+  // Queued, paused or finished job - just drop it
+  await dropQueuedDownload(id);
+  console.log(`Download cancelled: ${id}`);
+  res.json({ message: 'Download cancelled' });
+});
+
+// Pause a single download
+app.post('/api/download/:id/pause', (req, res) => {
+  const { id } = req.params;
+  if (!activeDownloads.has(id)) {
+    return res.status(404).json({ error: 'Download not found' });
+  }
+  
+  if (!pauseDownload(id)) {
+    return res.status(409).json({ error: 'Download cannot be paused in its current state' });
+  }
+  
+  res.json({ message: 'Download paused' });
+});
+
+// Resume a single paused download
+app.post('/api/download/:id/resume', (req, res) => {
+  const { id } = req.params;
+  if (!activeDownloads.has(id)) {
+    return res.status(404).json({ error: 'Download not found' });
+  }
+  
+  if (!downloadQueue.resume(id)) {
+    return res.status(409).json({ error: 'Download is not paused' });
+  }
+  
+  res.json({ message: 'Download resumed' });
+});
+
+// Move a waiting download up, down, to the top or bottom, or to a given position
+app.post('/api/download/:id/move', (req, res) => {
+  const { id } = req.params;
+  const { direction, position } = req.body;
+  if (!activeDownloads.has(id)) {
+    return res.status(404).json({ error: 'Download not found' });
+  }
+  
+  if (position === undefined && !['up', 'down', 'top', 'bottom'].includes(direction)) {
+    return res.status(400).json({ error: 'Direction must be one of: up, down, top, bottom, or a position must be given' });
+  }
+  
+  const moved = position !== undefined 
+    ? downloadQueue.moveTo(id, position) 
+    : downloadQueue.move(id, direction);
+  
+  if (!moved) {
+    return res.status(409).json({ error: 'Only waiting downloads can be moved' });
+  }
+  
+  res.json({ message: 'Download moved', queuePosition: downloadQueue.getPosition(id), order: downloadQueue.getOrder() });
+});
+
+// Change the priority of a waiting download
+app.post('/api/download/:id/priority', (req, res) => {
+  const { id } = req.params;
+  const { priority } = req.body;
+  if (!activeDownloads.has(id)) {
+    return res.status(404).json({ error: 'Download not found' });
+  }
+  
+  if (!downloadQueue.isValidPriority(priority)) {
+    return res.status(400).json({ error: `Priority must be one of: ${downloadQueue.priorities.join(', ')}` });
+  }
+  
+  if (!downloadQueue.setPriority(id, priority)) {
+    return res.status(409).json({ error: 'Only waiting downloads can change priority' });
   }
+  
+  res.json({ message: 'Download priority updated', priority, queuePosition: downloadQueue.getPosition(id) });
+});
+
+// Set or clear the earliest start time of a waiting download
+app.post('/api/download/:id/schedule', (req, res) => {
+  const { id } = req.params;
+  const { notBefore = null } = req.body;
+  if (!activeDownloads.has(id)) {
+    return res.status(404).json({ error: 'Download not found' });
+  }
+  
+  if (notBefore && isNaN(new Date(notBefore))) {
+    return res.status(400).json({ error: 'notBefore must be a date and time' });
+  }
+  
+  if (!downloadQueue.update(id, { notBefore: notBefore ? new Date(notBefore).toISOString() : null })) {
+    return res.status(409).json({ error: 'Only waiting downloads can be scheduled' });
+  }
+  
+  res.json({ message: 'Download schedule updated', scheduledStart: activeDownloads.get(id).scheduledStart });
+});
+
+// Pause the whole queue, including downloads that are running right now
+app.post('/api/downloads/pause', (req, res) => {
+  downloadQueue.pauseAll();
+  for (const id of downloadControllers.keys()) {
+    pauseDownload(id);
+  }
+  res.json({ message: 'All downloads paused', ...downloadQueue.getStatus() });
+});
+
+// Resume the whole queue
+app.post('/api/downloads/resume', (req, res) => {
+  downloadQueue.resumeAll();
+  res.json({ message: 'All downloads resumed', ...downloadQueue.getStatus() });
 });
 
 // Catch-all for React routes
@@ -1090,13 +2875,15 @@ server.listen(PORT, () => {
   console.log(`QuackBus running on port ${PORT}`);
   console.log(`Build path: ${buildPath}`);
   console.log(`Music directory: ${process.env.DOWNLOAD_PATH || '/app/music'}`);
-  console.log(`Data directory: ${path.join(__dirname, 'data')}`);
-  console.log(`Ready for downloads with qobuz-proxy API!`);
+  console.log(`Data directory: ${dataDir}`);
+  console.log(`Catalog provider: ${catalog.name}${catalog.baseUrl ? ` (${catalog.baseUrl})` : ''}`);
+  
+  // Keep checking that the provider answers, every PROVIDER_CHECK_INTERVAL seconds
+  providerHealth.start(catalog, Math.max(5, parseInt(process.env.PROVIDER_CHECK_INTERVAL) || 60));
   
   // Ensure directories exist with error handling for low disk space
   const musicDir = process.env.DOWNLOAD_PATH || '/app/music';
   const tempDir = process.env.TEMP_PATH || '/app/temp';
-  const dataDir = path.join(__dirname, 'data');
   
   try {
     fs.ensureDirSync(musicDir);
@@ -1122,8 +2909,9 @@ server.listen(PORT, () => {
       console.log(`Could not set music directory permissions:`, error.message);
     }
     
-    // Load download history (will skip if data dir doesn't exist)
-    loadDownloadHistory();
+    // Load settings and download history (will skip if data dir doesn't exist), then pick up unfinished downloads
+    loadSettings().then(loadDownloadHistory).then(recoverAlbumSwaps).then(restoreDownloadQueue);
+    catalogCache.load();
     
   } catch (error) {
     if (error.code === 'ENOSPC') {
@@ -0,0 +1,81 @@
+// Global download rate limit shared by every running transfer, with optional time-of-day rules
+const { Transform } = require('stream');
+const { isValidWindow, isWithinWindow } = require('./timeWindow');
+
+class BandwidthLimiter {
+  constructor() {
+    // Bytes per second when no schedule rule applies, 0 means unlimited
+    this.limit = 0;
+    // Rules like { start: '01:00', end: '07:00', limit: 0 } - the first matching rule wins
+    this.schedule = [];
+    // Time at which the shared budget is free again; transfers reserve slices of it in turn
+    this.nextFreeTime = 0;
+  }
+
+  configure({ limit = 0, schedule = [] } = {}) {
+    this.limit = limit;
+    this.schedule = schedule;
+    this.nextFreeTime = 0;
+    console.log(`Bandwidth limit: ${this.describe(this.limit)}, ${this.schedule.length} schedule rule(s)`);
+  }
+
+  // Check a { limit, schedule } settings object, returning an error message or null
+  validate({ limit, schedule }) {
+    if (!Number.isFinite(limit) || limit < 0) {
+      return 'Limit must be a number of bytes per second (0 for unlimited)';
+    }
+
+    if (!Array.isArray(schedule)) {
+      return 'Schedule must be a list of rules';
+    }
+
+    for (const rule of schedule) {
+      if (!isValidWindow(rule)) {
+        return 'Schedule rules need different start and end times in HH:MM format';
+      }
+      if (!Number.isFinite(rule.limit) || rule.limit < 0) {
+        return 'Schedule rule limits must be a number of bytes per second (0 for unlimited)';
+      }
+    }
+
+    return null;
+  }
+
+  // Limit in bytes per second that applies at the given time, 0 means unlimited
+  getCurrentLimit(now = new Date()) {
+    const rule = this.schedule.find(rule => isWithinWindow(rule, now));
+    return rule ? rule.limit : this.limit;
+  }
+
+  describe(limit) {
+    return limit > 0 ? `${Math.round(limit / 1024)} KB/s` : 'unlimited';
+  }
+
+  // Resolve once the given number of bytes may pass under the current limit
+  async acquire(bytes) {
+    const limit = this.getCurrentLimit();
+    if (!limit) return;
+
+    // Don't let an idle period build up more than a second of burst
+    const now = Date.now();
+    const start = Math.max(now - 1000, this.nextFreeTime);
+    this.nextFreeTime = start + (bytes / limit) * 1000;
+
+    const wait = this.nextFreeTime - now;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  // Pass-through stream that holds chunks back to stay within the shared limit
+  createStream() {
+    const limiter = this;
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        limiter.acquire(chunk.length).then(() => callback(null, chunk), callback);
+      }
+    });
+  }
+}
+
+module.exports = new BandwidthLimiter();
@@ -0,0 +1,180 @@
+// Keeps recent search results and album details so the same lookup doesn't go to the catalog twice
+const fs = require('fs-extra');
+const path = require('path');
+
+class CatalogCache {
+  constructor() {
+    // Seconds an entry stays valid, 0 turns the cache off
+    this.ttlSeconds = 600;
+    // Most entries kept, the least recently used are dropped first
+    this.maxEntries = 200;
+    // File the entries are saved to, or null to keep them in memory only
+    this.filePath = null;
+    // Key to { type, value, storedAt, expiresAt }, in order of last use
+    this.entries = new Map();
+    // Lookups being fetched right now, so simultaneous requests share one catalog call
+    this.pending = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.saveTimer = null;
+    this.saveChain = Promise.resolve();
+  }
+
+  configure({ ttlSeconds = 600, maxEntries = 200, filePath = null } = {}) {
+    this.ttlSeconds = ttlSeconds;
+    this.maxEntries = maxEntries;
+    this.filePath = filePath;
+    this.prune();
+    console.log(`Catalog cache: ${this.ttlSeconds > 0 ? `${this.ttlSeconds}s, up to ${this.maxEntries} entries` : 'off'}${this.filePath ? `, saved to ${this.filePath}` : ''}`);
+  }
+
+  get enabled() {
+    return this.ttlSeconds > 0 && this.maxEntries > 0;
+  }
+
+  // Read entries saved by an earlier run, dropping the ones that have expired since
+  async load() {
+    if (!this.filePath || !this.enabled) return;
+
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        const saved = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        this.entries = new Map(saved.map(entry => [entry.key, entry]));
+        this.prune();
+        console.log(`Loaded ${this.entries.size} catalog cache entries`);
+      }
+    } catch (error) {
+      console.log('Could not load catalog cache:', error.message);
+      this.entries = new Map();
+    }
+  }
+
+  // The cached value for key, or the result of fetch() which is then cached. Failed fetches are not
+  // cached. Callers get their own copy, so changing it doesn't change the cache.
+  async get(key, type, fetch) {
+    if (!this.enabled) {
+      return fetch();
+    }
+
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.hits++;
+      // Move to the end, as the most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      return structuredClone(entry.value);
+    }
+
+    this.misses++;
+    if (!this.pending.has(key)) {
+      const request = (async () => {
+        try {
+          const value = await fetch();
+          this.set(key, type, value);
+          return value;
+        } finally {
+          this.pending.delete(key);
+        }
+      })();
+      this.pending.set(key, request);
+    }
+    return structuredClone(await this.pending.get(key));
+  }
+
+  set(key, type, value) {
+    const now = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, {
+      key,
+      type,
+      value: structuredClone(value),
+      storedAt: new Date(now).toISOString(),
+      expiresAt: now + this.ttlSeconds * 1000
+    });
+    this.prune();
+    this.scheduleSave();
+  }
+
+  // Remove all entries, or only those of one type ('search' or 'album'). Returns how many were removed.
+  clear(type) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (!type || entry.type === type) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    if (!type) {
+      this.hits = 0;
+      this.misses = 0;
+    }
+    this.scheduleSave();
+    return removed;
+  }
+
+  // Drop expired entries, then the least recently used ones over the size limit
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Save shortly after the last change, so a burst of lookups is written once
+  scheduleSave() {
+    if (!this.filePath) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), 1000);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    const entries = [...this.entries.values()];
+
+    // Serialise writes so an older snapshot never overwrites a newer one
+    this.saveChain = this.saveChain.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.filePath));
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(entries));
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+      } catch (error) {
+        if (error.code === 'ENOSPC') {
+          console.log('No disk space to save catalog cache. Keeping it in memory only.');
+        } else {
+          console.error('Could not save catalog cache:', error.message);
+        }
+      }
+    });
+
+    return this.saveChain;
+  }
+
+  getStatus() {
+    this.prune();
+    const entries = [...this.entries.values()];
+    return {
+      enabled: this.enabled,
+      ttlSeconds: this.ttlSeconds,
+      maxEntries: this.maxEntries,
+      persistent: !!this.filePath,
+      size: entries.length,
+      hits: this.hits,
+      misses: this.misses,
+      entries: entries.reverse().map(({ key, type, storedAt, expiresAt }) => ({
+        key,
+        type,
+        storedAt,
+        expiresAt: new Date(expiresAt).toISOString()
+      }))
+    };
+  }
+}
+
+module.exports = new CatalogCache();
@@ -0,0 +1,23 @@
+// The catalog provider every search, album lookup and download goes through, chosen with CATALOG_PROVIDER.
+//
+// A provider implements:
+//   search(query, { type, limit })        -> { albums: { items }, tracks: { items } }
+//   getAlbum(albumId, { signal })         -> album with tracks.items
+//   getTrack(trackId, { signal })         -> track with its album, or null if the provider can't look tracks up
+//   getFileUrl(trackId, quality, { signal }) -> URL the audio file can be downloaded from
+//   getArtwork(album, { signal })         -> cover image data, or null
+//   checkHealth({ signal })               -> resolves if the provider answers, throws if not
+// Failed calls throw an Error, with the HTTP status in error.status where there is one, and
+// error.unavailable set when the provider could not be reached at all.
+
+const PROVIDERS = {
+  qobuz: './qobuzService',
+  mock: './mockCatalogService'
+};
+
+const providerName = (process.env.CATALOG_PROVIDER || 'qobuz').toLowerCase();
+if (!PROVIDERS[providerName]) {
+  throw new Error(`Unknown CATALOG_PROVIDER "${providerName}", expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+module.exports = require(PROVIDERS[providerName]);
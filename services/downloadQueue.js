@@ -0,0 +1,261 @@
+// Server-side download queue with a configurable concurrency limit
+
+// Priority levels, highest first
+const PRIORITIES = ['high', 'normal', 'low'];
+
+class DownloadQueue {
+  constructor() {
+    this.priorities = PRIORITIES;
+    this.maxConcurrent = Math.max(1, parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || 2);
+    this.pending = [];
+    this.running = new Map();
+    this.paused = false;
+    this.runner = null;
+    this.changeHandler = null;
+    this.startCheck = () => true;
+    this.startGate = () => true;
+  }
+
+  // Set the function that actually performs a job
+  setRunner(runner) {
+    this.runner = runner;
+  }
+
+  // Set a function deciding whether a waiting job may start yet, e.g. for scheduled jobs
+  setStartCheck(check) {
+    this.startCheck = check;
+  }
+
+  // Set a function deciding whether any job may start now, e.g. not while the upstream is failing
+  setStartGate(gate) {
+    this.startGate = gate;
+  }
+
+  canStart(job) {
+    return !job.paused && !job.heldReason && this.startCheck(job);
+  }
+
+  // Set a callback invoked whenever the queue order or running set changes
+  setChangeHandler(handler) {
+    this.changeHandler = handler;
+  }
+
+  // Add a job behind every waiting job of the same or higher priority.
+  // With keepOrder set the job goes to the very end, e.g. when restoring a saved queue.
+  enqueue(job, { keepOrder = false } = {}) {
+    job.priority = this.isValidPriority(job.priority) ? job.priority : 'normal';
+
+    if (keepOrder) {
+      this.pending.push(job);
+    } else {
+      this.insertByPriority(job);
+    }
+    console.log(`Queued job ${job.id} (${this.pending.length} waiting, ${this.running.size}/${this.maxConcurrent} running)`);
+    this.notifyChange();
+    this.processNext();
+  }
+
+  // Put a job that was stopped mid-run back at the front of the queue
+  requeue(job) {
+    this.pending.unshift(job);
+    this.notifyChange();
+    this.processNext();
+  }
+
+  // Move a waiting job one step up or down, or straight to the top or bottom
+  move(jobId, direction) {
+    const index = this.pending.findIndex(job => job.id === jobId);
+    if (index === -1) return false;
+
+    const targets = {
+      up: index - 1,
+      down: index + 1,
+      top: 0,
+      bottom: this.pending.length - 1
+    };
+    if (!(direction in targets)) return false;
+
+    return this.moveTo(jobId, targets[direction] + 1);
+  }
+
+  // Move a waiting job to a 1-based position in the queue
+  moveTo(jobId, position) {
+    const index = this.pending.findIndex(job => job.id === jobId);
+    if (index === -1) return false;
+
+    const target = Math.min(Math.max(parseInt(position) - 1 || 0, 0), this.pending.length - 1);
+    if (target !== index) {
+      const [job] = this.pending.splice(index, 1);
+      this.pending.splice(target, 0, job);
+      console.log(`Moved job ${jobId} to position ${target + 1}`);
+      this.notifyChange();
+    }
+    return true;
+  }
+
+  // Change the priority of a waiting job and move it behind the other jobs of that priority
+  setPriority(jobId, priority) {
+    const index = this.pending.findIndex(job => job.id === jobId);
+    if (index === -1 || !this.isValidPriority(priority)) return false;
+
+    const [job] = this.pending.splice(index, 1);
+    job.priority = priority;
+    this.insertByPriority(job);
+    console.log(`Set priority of job ${jobId} to ${priority}`);
+    this.notifyChange();
+    return true;
+  }
+
+  isValidPriority(priority) {
+    return PRIORITIES.includes(priority);
+  }
+
+  insertByPriority(job) {
+    const rank = PRIORITIES.indexOf(job.priority);
+    const index = this.pending.findIndex(other => PRIORITIES.indexOf(other.priority) > rank);
+    if (index === -1) {
+      this.pending.push(job);
+    } else {
+      this.pending.splice(index, 0, job);
+    }
+  }
+
+  // Remove a job that has not started yet
+  remove(jobId) {
+    const index = this.pending.findIndex(job => job.id === jobId);
+    if (index === -1) return false;
+
+    this.pending.splice(index, 1);
+    console.log(`Removed job ${jobId} from queue`);
+    this.notifyChange();
+    return true;
+  }
+
+  // Change properties of a waiting job, such as its scheduled start
+  update(jobId, changes) {
+    const job = this.pending.find(job => job.id === jobId);
+    if (!job) return false;
+
+    Object.assign(job, changes);
+    this.notifyChange();
+    this.processNext();
+    return true;
+  }
+
+  // Hold a waiting job in the queue without starting it
+  pause(jobId) {
+    const job = this.pending.find(job => job.id === jobId);
+    if (!job) return false;
+
+    job.paused = true;
+    this.notifyChange();
+    return true;
+  }
+
+  // Let a held job start again once a slot is free
+  resume(jobId) {
+    const job = this.pending.find(job => job.id === jobId);
+    if (!job) return false;
+
+    job.paused = false;
+    delete job.heldReason;
+    this.notifyChange();
+    this.processNext();
+    return true;
+  }
+
+  // Clear the hold on jobs that could not start for a reason that may have gone away, e.g. a full disk.
+  // They are checked again when they start.
+  releaseHeld() {
+    const held = this.pending.filter(job => job.heldReason);
+    if (held.length === 0) return;
+
+    held.forEach(job => { delete job.heldReason; });
+    this.notifyChange();
+    this.processNext();
+  }
+
+  // Hold every waiting job and stop starting new ones
+  pauseAll() {
+    this.paused = true;
+    this.pending.forEach(job => { job.paused = true; });
+    console.log('Download queue paused');
+    this.notifyChange();
+  }
+
+  // Release every held job and start processing again
+  resumeAll() {
+    this.paused = false;
+    this.pending.forEach(job => { job.paused = false; });
+    console.log('Download queue resumed');
+    this.notifyChange();
+    this.processNext();
+  }
+
+  // 1-based position of a waiting job, or null if it is not waiting
+  getPosition(jobId) {
+    const index = this.pending.findIndex(job => job.id === jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  // Ids of the waiting jobs in the order they will start
+  getOrder() {
+    return this.pending.map(job => job.id);
+  }
+
+  isRunning(jobId) {
+    return this.running.has(jobId);
+  }
+
+  getStatus() {
+    return {
+      queued: this.pending.filter(job => this.canStart(job)).length,
+      scheduled: this.pending.filter(job => !job.paused && !job.heldReason && !this.startCheck(job)).length,
+      held: this.pending.filter(job => !job.paused && job.heldReason).length,
+      paused: this.paused,
+      pausedJobs: this.pending.filter(job => job.paused).length,
+      running: this.running.size,
+      maxConcurrent: this.maxConcurrent
+    };
+  }
+
+  // Start as many waiting jobs as the concurrency limit allows, skipping paused and scheduled ones.
+  // Nothing starts while the start gate is closed.
+  processNext() {
+    if (!this.runner || this.paused || !this.startGate()) return;
+
+    while (this.running.size < this.maxConcurrent) {
+      const index = this.pending.findIndex(job => this.canStart(job));
+      if (index === -1) break;
+
+      const [job] = this.pending.splice(index, 1);
+      this.running.set(job.id, job);
+      console.log(`Starting job ${job.id} (${this.running.size}/${this.maxConcurrent} running)`);
+
+      Promise.resolve()
+        .then(() => this.runner(job))
+        .catch((error) => {
+          console.error(`Job ${job.id} failed:`, error.message);
+        })
+        .finally(() => {
+          this.running.delete(job.id);
+          this.notifyChange();
+          this.processNext();
+        });
+
+      this.notifyChange();
+    }
+  }
+
+  notifyChange() {
+    if (this.changeHandler) {
+      try {
+        this.changeHandler();
+      } catch (error) {
+        console.error('Queue change handler error:', error.message);
+      }
+    }
+  }
+}
+
+module.exports = new DownloadQueue();
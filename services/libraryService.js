@@ -0,0 +1,225 @@
+// Looks up albums and tracks that are already in the music library
+const fs = require('fs-extra');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const manifestService = require('./manifestService');
+const qualityService = require('./qualityService');
+
+const AUDIO_EXTENSIONS = ['.flac', '.mp3', '.m4a'];
+
+// Compare names loosely: case, punctuation and spacing differences don't count
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+class LibraryService {
+  constructor() {
+    // Album ID -> album folder, read from the manifests once and kept up to date by writeManifest()
+    this.albumDirs = new Map();
+    this.indexing = null;
+  }
+
+  getRoot() {
+    return process.env.DOWNLOAD_PATH || '/app/music';
+  }
+
+  // Find an album folder holding this album: first by the album ID in a manifest, then by the
+  // artist/album tags of the files in the folder it would be downloaded to.
+  // Returns { albumDir, matchedBy, presentTracks } or null; presentTracks lists the album's tracks found there.
+  async findAlbum(album, albumFolderName) {
+    const byId = await this.findAlbumDirById(album.id);
+    if (byId) {
+      const manifest = await manifestService.read(byId);
+      const presentTracks = [];
+      for (const entry of manifest.tracks) {
+        if (await fs.pathExists(path.join(byId, entry.fileName))) {
+          presentTracks.push({ id: entry.id, title: entry.title, fileName: entry.fileName });
+        }
+      }
+
+      return { albumDir: byId, matchedBy: 'albumId', presentTracks };
+    }
+
+    const albumDir = path.join(this.getRoot(), albumFolderName);
+    const files = await this.readFolderTags(albumDir);
+    const artist = normalize(album.artist?.name);
+    const title = normalize(album.title);
+    const albumFiles = files.filter(file => normalize(file.tags.album) === title &&
+      [file.tags.album_artist, file.tags.albumartist, file.tags.artist].some(value => normalize(value) === artist));
+
+    if (albumFiles.length === 0) {
+      return null;
+    }
+
+    const presentTracks = (album.tracks?.items || [])
+      .map(track => ({ track, file: albumFiles.find(file => this.isSameTrack(file.tags, track)) }))
+      .filter(({ file }) => file)
+      .map(({ track, file }) => ({ id: track.id, title: track.title, fileName: file.fileName }));
+
+    return { albumDir, matchedBy: 'tags', presentTracks };
+  }
+
+  // Find a single track in its album folder: by file name, by the manifest, or by its title/artist/album tags.
+  // Returns { filePath, matchedBy } or null.
+  async findTrack(track, album, albumFolderName, fileName) {
+    const albumDir = path.join(this.getRoot(), albumFolderName);
+    if (!await fs.pathExists(albumDir)) {
+      return null;
+    }
+
+    if (await fs.pathExists(path.join(albumDir, fileName))) {
+      return { filePath: path.join(albumDir, fileName), matchedBy: 'fileName' };
+    }
+
+    const manifest = await manifestService.read(albumDir);
+    const entry = manifest?.tracks.find(item => String(item.id) === String(track.id));
+    if (entry && await fs.pathExists(path.join(albumDir, entry.fileName))) {
+      return { filePath: path.join(albumDir, entry.fileName), matchedBy: 'trackId' };
+    }
+
+    const albumTitle = normalize(album?.title);
+    const match = (await this.readFolderTags(albumDir))
+      .find(file => this.isSameTrack(file.tags, track) && (!albumTitle || normalize(file.tags.album) === albumTitle));
+    return match ? { filePath: match.filePath, matchedBy: 'tags' } : null;
+  }
+
+  // Every album folder in the library, with its manifest if it has one. Hidden folders are skipped.
+  async listAlbums() {
+    const root = this.getRoot();
+    const entries = await fs.readdir(root, { withFileTypes: true }).catch(() => []);
+    const albums = [];
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+
+      const albumDir = path.join(root, entry.name);
+      albums.push({ albumDir, manifest: await manifestService.read(albumDir) });
+    }
+
+    return albums;
+  }
+
+  // Quality ID matching the first audio file in a folder (5 MP3, 6 CD, 7 Hi-Res 96kHz, 27 Hi-Res 192kHz),
+  // or null if there is no readable audio file
+  async detectQuality(albumDir) {
+    const files = await fs.readdir(albumDir).catch(() => []);
+    const fileName = files.find(file => AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+    if (!fileName) return null;
+
+    const stream = await new Promise((resolve) => {
+      ffmpeg.ffprobe(path.join(albumDir, fileName), (error, data) => {
+        resolve(error ? null : data.streams?.find(item => item.codec_type === 'audio'));
+      });
+    });
+    if (!stream) return null;
+
+    return qualityService.getQualityId({
+      lossless: stream.codec_name === 'flac',
+      bitDepth: parseInt(stream.bits_per_raw_sample, 10) || (stream.sample_fmt === 's32' ? 24 : 16),
+      sampleRate: parseInt(stream.sample_rate, 10) || 44100
+    });
+  }
+
+  // Album folder whose manifest records this album ID
+  async findAlbumDirById(albumId) {
+    if (!albumId) return null;
+
+    if (!this.indexing) {
+      this.indexing = this.listAlbums().then(albums => {
+        for (const { albumDir, manifest } of albums) {
+          // A manifest written while the library was being read is newer than what was read
+          if (manifest && !this.albumDirs.has(String(manifest.albumId))) {
+            this.albumDirs.set(String(manifest.albumId), albumDir);
+          }
+        }
+      });
+    }
+    await this.indexing;
+
+    // The folder may have been renamed or deleted since it was read
+    const albumDir = this.albumDirs.get(String(albumId));
+    if (!albumDir) return null;
+
+    const manifest = await manifestService.read(albumDir);
+    if (manifest && String(manifest.albumId) === String(albumId)) {
+      return albumDir;
+    }
+    this.albumDirs.delete(String(albumId));
+    return null;
+  }
+
+  // Write the manifest of an album folder in the library and remember the folder for its album ID
+  async writeManifest(albumDir, manifestInfo) {
+    await manifestService.write(albumDir, manifestInfo);
+    this.albumDirs.set(String(manifestInfo.albumId), albumDir);
+  }
+
+  isSameTrack(tags, track) {
+    if (normalize(tags.title) !== normalize(track.title)) {
+      return false;
+    }
+
+    // Only compare track numbers when the file has one, e.g. "3" or "3/12"
+    const trackNumber = parseInt(tags.track || tags.tracknumber, 10);
+    return !trackNumber || !track.track_number || trackNumber === track.track_number;
+  }
+
+  // Tags of every audio file in a folder, with lower-case keys
+  async readFolderTags(albumDir) {
+    const files = await fs.readdir(albumDir).catch(() => []);
+    const results = [];
+
+    for (const fileName of files) {
+      if (!AUDIO_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) continue;
+
+      const filePath = path.join(albumDir, fileName);
+      results.push({ fileName, filePath, tags: await this.readTags(filePath) });
+    }
+
+    return results;
+  }
+
+  // Album artist and title from the tags of the first audio file that has an album tag, or null
+  async readAlbumTags(albumDir) {
+    const file = (await this.readFolderTags(albumDir)).find(item => item.tags.album);
+    if (!file) return null;
+
+    const { tags } = file;
+    return { artist: tags.album_artist || tags.albumartist || tags.artist || null, title: tags.album };
+  }
+
+  // Whether a catalog album has this artist and title, compared loosely
+  isSameAlbum(album, { artist, title }) {
+    return normalize(album.title) === normalize(title) && (!artist || normalize(album.artist?.name) === normalize(artist));
+  }
+
+  readTags(filePath) {
+    return new Promise((resolve) => {
+      ffmpeg.ffprobe(filePath, (error, data) => {
+        if (error) {
+          return resolve({});
+        }
+
+        // FLAC keeps tags on the container, some other formats on the audio stream
+        const audioStream = data.streams?.find(stream => stream.codec_type === 'audio');
+        const tags = { ...audioStream?.tags, ...data.format?.tags };
+        resolve(Object.fromEntries(Object.entries(tags).map(([key, value]) => [key.toLowerCase(), value])));
+      });
+    });
+  }
+
+  // A path next to the given one that does not exist yet: "Name (2)", "Name (3)", ...
+  async getAvailablePath(targetPath) {
+    const extension = path.extname(targetPath);
+    const isFile = AUDIO_EXTENSIONS.includes(extension.toLowerCase());
+    const base = isFile ? targetPath.slice(0, -extension.length) : targetPath;
+    const suffix = isFile ? extension : '';
+
+    let candidate = targetPath;
+    for (let copy = 2; await fs.pathExists(candidate); copy++) {
+      candidate = `${base} (${copy})${suffix}`;
+    }
+
+    return candidate;
+  }
+}
+
+module.exports = new LibraryService();
@@ -0,0 +1,141 @@
+// Per-album manifest recording what an album folder is supposed to contain
+const fs = require('fs-extra');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+const MANIFEST_FILE = '.quackbus-manifest.json';
+
+// A file this much shorter than the catalog duration is treated as truncated
+const DURATION_TOLERANCE_SECONDS = 2;
+
+class ManifestService {
+  constructor() {
+    this.fileName = MANIFEST_FILE;
+    // Shared with the integrity check run on downloaded files
+    this.durationTolerance = DURATION_TOLERANCE_SECONDS;
+  }
+
+  getPath(albumDir) {
+    return path.join(albumDir, MANIFEST_FILE);
+  }
+
+  async read(albumDir) {
+    try {
+      return JSON.parse(await fs.readFile(this.getPath(albumDir), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Write or update the manifest. tracks: [{ id, isrc, trackNumber, title, duration, fileName }].
+  // Entries already in the manifest for the same album are kept unless the new list replaces them.
+  async write(albumDir, { albumId, title, artist, quality, qualityName, tracks }) {
+    const existing = await this.read(albumDir);
+    const entries = new Map();
+
+    if (existing && String(existing.albumId) === String(albumId)) {
+      existing.tracks.forEach(track => entries.set(String(track.id), track));
+    }
+
+    for (const track of tracks) {
+      const filePath = path.join(albumDir, track.fileName);
+      const stat = await fs.stat(filePath).catch(() => null);
+      entries.set(String(track.id), {
+        id: track.id,
+        isrc: track.isrc || null,
+        trackNumber: track.trackNumber,
+        title: track.title,
+        duration: track.duration || null,
+        fileName: track.fileName,
+        size: stat ? stat.size : null
+      });
+    }
+
+    const files = (await fs.readdir(albumDir)).filter(file => file !== MANIFEST_FILE);
+    const now = new Date().toISOString();
+    const manifest = {
+      version: 1,
+      albumId,
+      title,
+      artist,
+      quality,
+      qualityName,
+      createdAt: existing?.createdAt && String(existing.albumId) === String(albumId) ? existing.createdAt : now,
+      updatedAt: now,
+      tracks: [...entries.values()].sort((a, b) => (a.trackNumber || 0) - (b.trackNumber || 0)),
+      files
+    };
+
+    await fs.writeFile(this.getPath(albumDir), JSON.stringify(manifest, null, 2));
+    console.log(`Wrote album manifest: ${manifest.tracks.length} tracks, ${files.length} files`);
+    return manifest;
+  }
+
+  // Compare an album folder with its manifest. Each track comes back with a status of ok, missing or corrupt.
+  async check(albumDir) {
+    const manifest = await this.read(albumDir);
+    if (!manifest) {
+      return null;
+    }
+
+    const tracks = [];
+    for (const track of manifest.tracks) {
+      const filePath = path.join(albumDir, track.fileName);
+      if (!await fs.pathExists(filePath)) {
+        tracks.push({ ...track, status: 'missing' });
+        continue;
+      }
+
+      // Some containers report their duration from the header, so a cut-off file is also caught by its size
+      const stat = await fs.stat(filePath);
+      const problem = track.size && stat.size < track.size
+        ? `Truncated: ${stat.size} of ${track.size} bytes`
+        : await this.inspectFile(filePath, track.duration);
+      tracks.push(problem ? { ...track, status: 'corrupt', problem } : { ...track, status: 'ok' });
+    }
+
+    const missing = tracks.filter(track => track.status === 'missing').length;
+    const corrupt = tracks.filter(track => track.status === 'corrupt').length;
+
+    return {
+      albumDir,
+      albumId: manifest.albumId,
+      title: manifest.title,
+      artist: manifest.artist,
+      quality: manifest.quality,
+      complete: missing === 0 && corrupt === 0,
+      missing,
+      corrupt,
+      tracks
+    };
+  }
+
+  // Probe an audio file, returning a description of what is wrong with it or null if it looks fine
+  inspectFile(filePath, expectedDuration) {
+    return new Promise((resolve) => {
+      ffmpeg.ffprobe(filePath, (error, data) => {
+        if (error) {
+          return resolve(`Unreadable: ${error.message.split('\n')[0]}`);
+        }
+
+        const audioStream = data.streams?.find(stream => stream.codec_type === 'audio');
+        if (!audioStream) {
+          return resolve('No audio stream');
+        }
+
+        const duration = parseFloat(data.format?.duration || audioStream.duration);
+        if (!duration) {
+          return resolve('No audio data');
+        }
+
+        if (expectedDuration && duration < expectedDuration - DURATION_TOLERANCE_SECONDS) {
+          return resolve(`Truncated: ${Math.round(duration)}s of ${expectedDuration}s`);
+        }
+
+        resolve(null);
+      });
+    });
+  }
+}
+
+module.exports = new ManifestService();
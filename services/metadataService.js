@@ -1,6 +1,7 @@
 const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs-extra');
 const path = require('path');
+const upstreamScheduler = require('./upstreamScheduler');
 
 class MetadataService {
   constructor() {
@@ -129,7 +130,7 @@ class MetadataService {
       
       const artworkPath = path.join(tempDir, `artwork_${trackId}.jpg`);
       
-      const response = await fetch(imageUrl);
+      const response = await upstreamScheduler.fetch(imageUrl);
       if (!response.ok) {
         console.warn(`Failed to download artwork: ${response.status}`);
         return null;
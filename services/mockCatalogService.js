@@ -0,0 +1,208 @@
+// Catalog provider serving fixture albums and audio from disk, for development and tests without the real service
+const fs = require('fs-extra');
+const path = require('path');
+const http = require('http');
+
+const FIXTURES_PATH = process.env.MOCK_CATALOG_PATH || path.join(__dirname, '..', 'fixtures', 'catalog');
+
+// Quality IDs from lowest to highest, to pick the audio file closest to the requested quality
+const QUALITY_ORDER = [5, 6, 7, 27];
+
+const CONTENT_TYPES = {
+  '.flac': 'audio/flac',
+  '.mp3': 'audio/mpeg',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+class MockCatalogService {
+  constructor() {
+    this.name = 'mock';
+    this.fixturesPath = FIXTURES_PATH;
+    this.albums = null;
+    this.fileServer = null;
+  }
+
+  // Read the album fixtures once. Each album is a JSON file in albums/ shaped like a catalog album,
+  // with "image" and each track's "audio" (quality ID to file) given as paths inside the fixtures folder.
+  async loadAlbums() {
+    if (!this.albums) {
+      this.albums = (async () => {
+        const albumsDir = path.join(this.fixturesPath, 'albums');
+        const files = (await fs.readdir(albumsDir)).filter(file => file.endsWith('.json')).sort();
+        const albums = await Promise.all(files.map(file => fs.readJson(path.join(albumsDir, file))));
+        console.log(`Mock catalog: loaded ${albums.length} album(s) from ${albumsDir}`);
+        return albums;
+      })();
+    }
+    return this.albums;
+  }
+
+  // Serve fixture files over HTTP so downloads go through the same code as real ones, including
+  // range requests. Started on first use, on MOCK_CATALOG_PORT or a free port.
+  async getFileServerUrl() {
+    if (!this.fileServer) {
+      this.fileServer = new Promise((resolve, reject) => {
+        const server = http.createServer((req, res) => this.serveFile(req, res));
+        server.on('error', reject);
+        server.listen(parseInt(process.env.MOCK_CATALOG_PORT) || 0, '127.0.0.1', () => {
+          server.unref();
+          const url = `http://127.0.0.1:${server.address().port}`;
+          console.log(`Mock catalog: serving fixture files on ${url}`);
+          resolve(url);
+        });
+      });
+    }
+    return this.fileServer;
+  }
+
+  async serveFile(req, res) {
+    const relativePath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname).replace(/^\/+/, '');
+    const filePath = path.resolve(this.fixturesPath, relativePath);
+
+    let stat;
+    try {
+      if (!filePath.startsWith(path.resolve(this.fixturesPath) + path.sep)) throw new Error('Outside fixtures');
+      stat = await fs.stat(filePath);
+    } catch (error) {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const headers = {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      'Accept-Ranges': 'bytes'
+    };
+
+    // Only "bytes=start-" ranges are needed to resume downloads
+    const range = (req.headers.range || '').match(/^bytes=(\d+)-$/);
+    if (range) {
+      const start = parseInt(range[1]);
+      if (start >= stat.size) {
+        res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stat.size}` });
+        return res.end();
+      }
+      res.writeHead(206, {
+        ...headers,
+        'Content-Length': stat.size - start,
+        'Content-Range': `bytes ${start}-${stat.size - 1}/${stat.size}`
+      });
+      return fs.createReadStream(filePath, { start }).pipe(res);
+    }
+
+    res.writeHead(200, { ...headers, 'Content-Length': stat.size });
+    fs.createReadStream(filePath).pipe(res);
+  }
+
+  // An album as the catalog would return it: fixture paths become URLs and the audio files are left out
+  async toCatalogAlbum(album) {
+    const baseUrl = await this.getFileServerUrl();
+    const imageUrl = album.image ? `${baseUrl}/${album.image}` : null;
+
+    return {
+      ...album,
+      image: imageUrl ? { small: imageUrl, medium: imageUrl, large: imageUrl } : null,
+      tracks: {
+        ...album.tracks,
+        items: album.tracks.items.map(({ audio, ...track }) => track)
+      }
+    };
+  }
+
+  // Album fields that come with a track in search results
+  albumSummary(catalogAlbum) {
+    const { tracks, ...summary } = catalogAlbum;
+    return summary;
+  }
+
+  async findTrack(trackId) {
+    for (const album of await this.loadAlbums()) {
+      const track = album.tracks.items.find(item => String(item.id) === String(trackId));
+      if (track) return { album, track };
+    }
+    return null;
+  }
+
+  // The mock catalog is up as long as its fixtures can be read
+  async checkHealth() {
+    await this.loadAlbums();
+    await this.getFileServerUrl();
+  }
+
+  // Search album titles and artists, or track titles, performers and album titles
+  async search(query, { type = 'albums', limit = 25 } = {}) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = (...fields) => {
+      const text = fields.filter(Boolean).join(' ').toLowerCase();
+      return words.every(word => text.includes(word));
+    };
+
+    const albums = await Promise.all((await this.loadAlbums()).map(album => this.toCatalogAlbum(album)));
+
+    if (type === 'track' || type === 'tracks') {
+      const tracks = albums.flatMap(album => album.tracks.items
+        .filter(track => matches(track.title, track.performer?.name, album.title))
+        .map(track => ({ ...track, album: this.albumSummary(album) })));
+      return { albums: { items: [] }, tracks: { items: tracks.slice(0, limit) } };
+    }
+
+    const items = albums
+      .filter(album => matches(album.title, album.artist?.name))
+      .map(album => this.albumSummary(album));
+    return { albums: { items: items.slice(0, limit) }, tracks: { items: [] } };
+  }
+
+  async getAlbum(albumId) {
+    const album = (await this.loadAlbums()).find(item => String(item.id) === String(albumId));
+    if (!album) {
+      throw notFound(`Album API error: 404`);
+    }
+    return this.toCatalogAlbum(album);
+  }
+
+  async getTrack(trackId) {
+    const found = await this.findTrack(trackId);
+    if (!found) return null;
+
+    const album = await this.toCatalogAlbum(found.album);
+    const track = album.tracks.items.find(item => String(item.id) === String(trackId));
+    return { ...track, album: this.albumSummary(album) };
+  }
+
+  // Like the real service, a track is delivered in the best quality it has up to the requested one
+  async getFileUrl(trackId, quality = 7) {
+    const found = await this.findTrack(trackId);
+    if (!found) {
+      throw notFound(`Stream API error: 404`);
+    }
+
+    const available = Object.keys(found.track.audio || {})
+      .map(Number)
+      .sort((a, b) => QUALITY_ORDER.indexOf(a) - QUALITY_ORDER.indexOf(b));
+    const wanted = QUALITY_ORDER.indexOf(Number(quality));
+    const best = available.filter(id => QUALITY_ORDER.indexOf(id) <= wanted).pop() ?? available[0];
+    if (best === undefined) {
+      throw new Error(`No download URL received for track ${trackId}`);
+    }
+
+    return `${await this.getFileServerUrl()}/${found.track.audio[best]}`;
+  }
+
+  // The cover is read straight from the fixtures folder
+  async getArtwork(album) {
+    const fixture = (await this.loadAlbums()).find(item => String(item.id) === String(album?.id));
+    if (!fixture?.image) {
+      console.log(`No album artwork available`);
+      return null;
+    }
+    return fs.readFile(path.join(this.fixturesPath, fixture.image));
+  }
+}
+
+module.exports = new MockCatalogService();
@@ -0,0 +1,79 @@
+// Periodically checks that the catalog provider answers, and how quickly
+
+// A check that takes longer than this counts as the provider being unreachable
+const CHECK_TIMEOUT = 10 * 1000;
+
+class ProviderHealth {
+  constructor() {
+    this.provider = null;
+    this.timer = null;
+    this.changeHandler = null;
+    this.status = {
+      provider: null,
+      reachable: null,
+      latency: null,
+      error: null,
+      checkedAt: null
+    };
+  }
+
+  // Set a callback invoked with the status after every check
+  setChangeHandler(handler) {
+    this.changeHandler = handler;
+  }
+
+  // Check the provider now and then every intervalSeconds
+  start(provider, intervalSeconds) {
+    this.stop();
+    this.provider = provider;
+    this.status.provider = provider.name;
+
+    this.check();
+    this.timer = setInterval(() => this.check(), intervalSeconds * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async check() {
+    const started = Date.now();
+    try {
+      await this.provider.checkHealth({ signal: AbortSignal.timeout(CHECK_TIMEOUT) });
+      this.status = {
+        ...this.status,
+        reachable: true,
+        latency: Date.now() - started,
+        error: null
+      };
+    } catch (error) {
+      if (this.status.reachable !== false) {
+        console.log(`Catalog provider ${this.provider.name} unreachable: ${error.message}`);
+      }
+      this.status = {
+        ...this.status,
+        reachable: false,
+        latency: null,
+        error: error.message
+      };
+    }
+    this.status.checkedAt = new Date().toISOString();
+
+    if (this.changeHandler) {
+      try {
+        this.changeHandler(this.status);
+      } catch (error) {
+        console.error('Provider status handler error:', error.message);
+      }
+    }
+    return this.status;
+  }
+
+  getStatus() {
+    return this.status;
+  }
+}
+
+module.exports = new ProviderHealth();
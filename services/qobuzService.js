@@ -1,16 +1,65 @@
-// Service for interacting with the qobuz-proxy API
-const fs = require('fs-extra');
-const path = require('path');
+// Catalog provider for the qobuz-proxy API
+const upstreamScheduler = require('./upstreamScheduler');
 
-const API_BASE_URL = 'https://qobuz-proxy.authme.workers.dev/api';
+const DEFAULT_API_BASE_URL = 'https://qobuz-proxy.authme.workers.dev/api';
+
+// Gateway errors mean the proxy or the service behind it is down, not that the request was wrong
+const UNAVAILABLE_STATUSES = [502, 503, 504];
+
+// An error for a failed API call, keeping the HTTP status for the caller
+function apiError(message, response) {
+  const error = new Error(`${message}: ${response.status}`);
+  error.status = response.status;
+  return error;
+}
+
+// An error for an API that can't be reached at all
+function unavailableError(reason) {
+  const error = new Error(`Provider unavailable: ${reason}`);
+  error.status = 503;
+  error.unavailable = true;
+  return error;
+}
 
 class QobuzService {
   constructor() {
-    this.baseUrl = API_BASE_URL;
+    this.name = 'qobuz';
+    // Set API_BASE_URL when the proxy moves, without rebuilding the image
+    this.baseUrl = (process.env.API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
   }
-
-  // Search for albums or tracks
-  async search(query, type = 'album', limit = 25, offset = 0) {
+  
+  // Fetch from the API, turning network failures, timeouts and gateway errors into an unavailable error.
+  // Probes are sent even while the upstream circuit breaker holds other requests back.
+  async request(url, { signal, probe = false } = {}) {
+    let response;
+    try {
+      response = await upstreamScheduler.fetch(url, { signal, probe });
+    } catch (error) {
+      // A cancelled download is not the provider's fault, and a paused upstream already says why
+      if (error.circuitOpen || (signal?.aborted && signal.reason?.name !== 'TimeoutError')) {
+        throw error;
+      }
+      throw unavailableError(signal?.aborted ? 'request timed out' : (error.cause?.code || error.cause?.message || error.message));
+    }
+    
+    if (UNAVAILABLE_STATUSES.includes(response.status)) {
+      throw unavailableError(`${new URL(url).host} answered ${response.status}`);
+    }
+    return response;
+  }
+  
+  // Inexpensive request showing whether the API answers - throws if it does not
+  async checkHealth({ signal } = {}) {
+    const response = await this.request(`${this.baseUrl}/get-music?q=test&limit=1`, { signal, probe: true });
+    await response.body?.cancel();
+    
+    if (!response.ok) {
+      throw apiError('Health check failed', response);
+    }
+  }
+  
+  // Search for albums or tracks, as { albums: { items }, tracks: { items } }
+  async search(query, { type = 'albums', limit = 25 } = {}) {
     try {
       let searchUrl;
       
@@ -23,71 +72,91 @@ class QobuzService {
       
       console.log(`Searching: ${searchUrl}`);
       
-      const response = await fetch(searchUrl);
+      const response = await this.request(searchUrl);
       
       if (!response.ok) {
-        throw new Error(`Search API error: ${response.status}`);
+        throw apiError('Search API error', response);
       }
       
       const data = await response.json();
-      return data;
+      return {
+        albums: (type === 'track' || type === 'tracks') ? { items: [] } : (data.albums || { items: [] }),
+        tracks: data.tracks || { items: [] }
+      };
     } catch (error) {
       console.error('Search error:', error);
       throw error;
     }
   }
-
+  
   // Get album details with tracks
-  async getAlbum(albumId) {
+  async getAlbum(albumId, { signal } = {}) {
     try {
       const albumUrl = `${this.baseUrl}/get-album?album_id=${albumId}`;
       console.log(`Getting album: ${albumUrl}`);
       
-      const response = await fetch(albumUrl);
+      const response = await this.request(albumUrl, { signal });
       
       if (!response.ok) {
-        throw new Error(`Album API error: ${response.status}`);
+        throw apiError('Album API error', response);
       }
       
       const data = await response.json();
-      return data;
+      return data.album || data;
     } catch (error) {
-      console.error('Album fetch error:', error);
+      console.error('Album fetch error:', error.message);
       throw error;
     }
   }
-
-  // Get track details (if needed)
+  
+  // Get track details with its album - the API has no track endpoint, so tracks come from search
+  // results and this returns null
   async getTrack(trackId) {
-    try {
-      // The API doesn't have a specific track endpoint
-      // We'll return the trackId for now, and rely on search results for track data
-      return { id: trackId };
-    } catch (error) {
-      console.error('Track fetch error:', error);
-      throw error;
-    }
+    return null;
   }
-
-  // Get stream URL for a track
-  async getTrackFileUrl(trackId, quality = 7) {
+  
+  // Get a URL the track can be downloaded from. It is only valid for a while, so ask just before downloading.
+  async getFileUrl(trackId, quality = 7, { signal } = {}) {
     try {
       const streamUrl = `${this.baseUrl}/download-music?track_id=${trackId}&quality=${quality}`;
       console.log(`Getting stream URL: ${streamUrl}`);
       
-      const response = await fetch(streamUrl);
+      const response = await this.request(streamUrl, { signal });
       
       if (!response.ok) {
-        throw new Error(`Stream API error: ${response.status}`);
+        throw apiError('Stream API error', response);
       }
       
       const data = await response.json();
-      return data;
+      if (!data.url) {
+        throw new Error(`No download URL received for track ${trackId}`);
+      }
+      return data.url;
     } catch (error) {
-      console.error('Stream URL error:', error);
+      console.error('Stream URL error:', error.message);
       throw error;
     }
   }
+  
+  // Get the album cover as image data, or null if the album has none
+  async getArtwork(album, { signal } = {}) {
+    // Get the best quality image URL
+    const imageUrl = album?.image?.large || album?.cover || album?.image?.medium || album?.image?.small;
+    
+    if (!imageUrl) {
+      console.log(`No album artwork available`);
+      return null;
+    }
+    
+    const response = await upstreamScheduler.fetch(imageUrl, { signal });
+    
+    if (!response.ok) {
+      console.log(`Failed to download artwork: ${response.status}`);
+      return null;
+    }
+    
+    return Buffer.from(await response.arrayBuffer());
+  }
 
   // Get quality information
   getQualityInfo(qualityId) {
@@ -240,41 +309,6 @@ class QobuzService {
       track_number: track.trackNumber || track.track_number || 1
     };
   }
-
-  // Download and save album artwork
-  async downloadArtwork(imageUrl, outputPath) {
-    try {
-      if (!imageUrl) {
-        console.log('No artwork URL provided');
-        return null;
-      }
-
-      console.log(`Downloading artwork: ${imageUrl}`);
-      
-      const response = await fetch(imageUrl);
-      
-      if (!response.ok) {
-        console.log(`Failed to download artwork: ${response.status}`);
-        return null;
-      }
-      
-      const imageBuffer = await response.arrayBuffer();
-      const buffer = Buffer.from(imageBuffer);
-      
-      // Ensure directory exists
-      await fs.ensureDir(path.dirname(outputPath));
-      
-      // Write file
-      await fs.writeFile(outputPath, buffer);
-      
-      console.log(`Artwork saved: ${path.basename(outputPath)} (${Math.round(buffer.length / 1024)} KB)`);
-      
-      return outputPath;
-    } catch (error) {
-      console.error('Artwork download failed:', error);
-      return null;
-    }
-  }
 }
 
 module.exports = new QobuzService();
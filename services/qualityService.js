@@ -0,0 +1,80 @@
+// Reads the format of downloaded files to see which quality the upstream actually delivered
+
+// Quality IDs from lowest to highest
+const QUALITY_ORDER = [5, 6, 7, 27];
+
+// Highest sample rate of quality 7 (24-bit up to 96 kHz) - 24-bit above it is quality 27
+const HI_RES_MAX_SAMPLE_RATE = 96000;
+
+class QualityService {
+  constructor() {
+    // music-metadata is an ES module, so it is loaded on first use
+    this.musicMetadata = null;
+  }
+
+  // Codec, bit depth, sample rate and bitrate of an audio file
+  async readFormat(filePath) {
+    this.musicMetadata = this.musicMetadata || import('music-metadata');
+    const { parseFile } = await this.musicMetadata;
+    const { format } = await parseFile(filePath, { duration: false, skipCovers: true });
+
+    return {
+      codec: format.codec || format.container || 'Unknown',
+      lossless: !!format.lossless,
+      bitDepth: format.bitsPerSample || null,
+      sampleRate: format.sampleRate || null,
+      bitrate: format.bitrate ? Math.round(format.bitrate) : null
+    };
+  }
+
+  // Quality ID of a format: lossy is 5, lossless up to 16-bit is 6, 24-bit up to 96 kHz is 7 and above that 27.
+  // The catalog, the library scan and the delivered-quality check all classify with this.
+  getQualityId(format) {
+    if (!format.lossless) return 5;
+    if (!format.bitDepth || format.bitDepth <= 16) return 6;
+    return format.sampleRate > HI_RES_MAX_SAMPLE_RATE ? 27 : 7;
+  }
+
+  // Best quality ID the catalog offers for an album or track, from its maximum bit depth and sample rate
+  // (in kHz). What the catalog doesn't say is assumed to be the best.
+  getAvailableQualityId(item) {
+    return this.getQualityId({
+      lossless: true,
+      bitDepth: item?.maximum_bit_depth || 24,
+      sampleRate: item?.maximum_sampling_rate ? item.maximum_sampling_rate * 1000 : Infinity
+    });
+  }
+
+  // Compare a file with the quality it should have. When the file can't be read the result has an
+  // error instead of a delivered format, and is not treated as falling short.
+  async check(filePath, expectedQuality) {
+    let delivered;
+    try {
+      delivered = await this.readFormat(filePath);
+    } catch (error) {
+      return { delivered: null, deliveredQuality: null, belowExpected: false, error: `Could not read audio format: ${error.message}` };
+    }
+
+    const deliveredQuality = this.getQualityId(delivered);
+    const rank = (id) => QUALITY_ORDER.indexOf(Number(id));
+
+    return {
+      delivered,
+      deliveredQuality,
+      belowExpected: rank(deliveredQuality) < rank(expectedQuality)
+    };
+  }
+
+  // e.g. "FLAC 16-bit/44.1kHz" or "MPEG 1 Layer 3 320kbps"
+  describe(format) {
+    if (!format) return 'Unknown format';
+
+    if (format.lossless && format.bitDepth && format.sampleRate) {
+      return `${format.codec} ${format.bitDepth}-bit/${format.sampleRate / 1000}kHz`;
+    }
+
+    return format.bitrate ? `${format.codec} ${Math.round(format.bitrate / 1000)}kbps` : format.codec;
+  }
+}
+
+module.exports = new QualityService();
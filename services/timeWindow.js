@@ -0,0 +1,40 @@
+// Helpers for daily time windows given as { start: 'HH:MM', end: 'HH:MM' } in server local time
+
+// Minutes since midnight for "HH:MM", or null if the value is not a valid time
+function parseTime(value) {
+  const match = typeof value === 'string' && value.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+// A window that starts when it ends would never open, so it is not valid
+function isValidWindow(window) {
+  const start = parseTime(window?.start);
+  const end = parseTime(window?.end);
+  return start !== null && end !== null && start !== end;
+}
+
+// A window like 22:00-06:00 wraps around midnight
+function isWithinWindow(window, date = new Date()) {
+  const start = parseTime(window.start);
+  const end = parseTime(window.end);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// The first moment at or after the given date that falls inside the window
+function nextWindowStart(window, date = new Date()) {
+  if (isWithinWindow(window, date)) return date;
+
+  const start = parseTime(window.start);
+  const next = new Date(date);
+  next.setHours(Math.floor(start / 60), start % 60, 0, 0);
+  if (next <= date) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+}
+
+module.exports = { parseTime, isValidWindow, isWithinWindow, nextWindowStart };
@@ -0,0 +1,173 @@
+// Service for streaming remote files to disk with progress reporting
+const fs = require('fs-extra');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const bandwidthLimiter = require('./bandwidthLimiter');
+const upstreamScheduler = require('./upstreamScheduler');
+
+class TransferService {
+  constructor() {
+    // Minimum time between progress callbacks, so clients are not flooded with updates
+    this.progressInterval = 500;
+  }
+
+  // Stream a URL into a file, calling onProgress with bytes, percent, speed (bytes/s) and ETA (s).
+  // With resume set, an existing partial file is continued with a Range request when the server allows it.
+  async downloadToFile(url, filePath, { signal, onProgress, resume = false } = {}) {
+    let existingBytes = 0;
+    if (resume) {
+      try {
+        existingBytes = (await fs.stat(filePath)).size;
+      } catch (error) {
+        existingBytes = 0;
+      }
+    }
+
+    const headers = existingBytes > 0 ? { Range: `bytes=${existingBytes}-` } : {};
+    const response = await upstreamScheduler.fetch(url, { signal, headers });
+
+    // Nothing left past the end of the partial file - either it is already complete or it is stale
+    if (response.status === 416) {
+      await response.body?.cancel();
+      const range = this.parseContentRange(response.headers.get('content-range'));
+      if (range?.total === existingBytes) {
+        console.log(`Partial file already complete (${existingBytes} bytes)`);
+        return { size: existingBytes, totalBytes: existingBytes, resumed: true };
+      }
+
+      console.log(`Cannot resume partial file, downloading from the start`);
+      await fs.remove(filePath);
+      return this.downloadToFile(url, filePath, { signal, onProgress });
+    }
+
+    if (!response.ok) {
+      const error = new Error(`File download failed: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    if (!response.body) {
+      throw new Error('File download failed: empty response body');
+    }
+
+    let startByte = 0;
+    let totalBytes;
+    if (response.status === 206) {
+      const range = this.parseContentRange(response.headers.get('content-range'));
+      if (!range || range.start !== existingBytes) {
+        // The server answered with a range we did not ask for - don't risk a corrupt file
+        await response.body.cancel();
+        console.log(`Unexpected content range, downloading from the start`);
+        await fs.remove(filePath);
+        return this.downloadToFile(url, filePath, { signal, onProgress });
+      }
+
+      startByte = existingBytes;
+      totalBytes = range.total || 0;
+      console.log(`Resuming download at ${Math.round(startByte / 1024 / 1024)} MB`);
+    } else {
+      if (existingBytes > 0) {
+        console.log(`Server does not support range requests, downloading from the start`);
+      }
+      totalBytes = parseInt(response.headers.get('content-length') || '0');
+    }
+
+    console.log(`File size: ${Math.round(totalBytes / 1024 / 1024)} MB`);
+
+    const tracker = this.createProgressTracker(totalBytes, onProgress, startByte);
+
+    await pipeline(
+      Readable.fromWeb(response.body),
+      bandwidthLimiter.createStream(),
+      tracker.stream,
+      fs.createWriteStream(filePath, { flags: startByte > 0 ? 'a' : 'w' }),
+      { signal }
+    );
+
+    tracker.finish();
+
+    // A connection that closes early can still end the stream cleanly, so check what actually arrived
+    const size = (await fs.stat(filePath)).size;
+    if (totalBytes > 0 && size !== totalBytes) {
+      throw new Error(`Incomplete download: received ${size} of ${totalBytes} bytes`);
+    }
+
+    return { size, totalBytes, resumed: startByte > 0 };
+  }
+
+  // Parse "bytes 100-199/1000" or "bytes */1000" into { start, end, total }
+  parseContentRange(header) {
+    if (!header) return null;
+
+    const match = header.match(/^bytes (?:(\d+)-(\d+)|\*)\/(\d+|\*)$/);
+    if (!match) return null;
+
+    return {
+      start: match[1] !== undefined ? parseInt(match[1]) : null,
+      end: match[2] !== undefined ? parseInt(match[2]) : null,
+      total: match[3] !== '*' ? parseInt(match[3]) : null
+    };
+  }
+
+  // Pass-through stream that counts bytes and reports throttled progress
+  createProgressTracker(totalBytes, onProgress, startByte = 0) {
+    const startTime = Date.now();
+    let lastReportTime = startTime;
+    let lastReportBytes = startByte;
+    let speed = 0;
+
+    const tracker = {
+      bytes: startByte,
+      stream: null,
+      finish: () => report(true)
+    };
+
+    const report = (final = false) => {
+      if (!onProgress) return;
+
+      const now = Date.now();
+      if (!final && now - lastReportTime < this.progressInterval) return;
+
+      // Smooth the transfer rate so the ETA does not jump around between reports
+      const elapsed = (now - lastReportTime) / 1000;
+      if (elapsed > 0) {
+        const currentSpeed = (tracker.bytes - lastReportBytes) / elapsed;
+        speed = speed ? speed * 0.7 + currentSpeed * 0.3 : currentSpeed;
+      }
+      if (final) {
+        const totalElapsed = (now - startTime) / 1000;
+        speed = totalElapsed > 0 ? (tracker.bytes - startByte) / totalElapsed : speed;
+      }
+
+      lastReportTime = now;
+      lastReportBytes = tracker.bytes;
+
+      const percent = totalBytes > 0 ? Math.min(100, Math.round((tracker.bytes / totalBytes) * 100)) : null;
+      const eta = totalBytes > 0 && speed > 0 ? Math.max(0, Math.round((totalBytes - tracker.bytes) / speed)) : null;
+
+      try {
+        onProgress({
+          bytes: tracker.bytes,
+          totalBytes: totalBytes || null,
+          percent,
+          speed: Math.round(speed),
+          eta: final ? 0 : eta
+        });
+      } catch (error) {
+        console.error('Progress callback error:', error.message);
+      }
+    };
+
+    tracker.stream = new Transform({
+      transform(chunk, encoding, callback) {
+        tracker.bytes += chunk.length;
+        report();
+        callback(null, chunk);
+      }
+    });
+
+    return tracker;
+  }
+}
+
+module.exports = new TransferService();
@@ -0,0 +1,236 @@
+// Every request to the upstream goes through here: requests are spaced out to a global rate, a Retry-After
+// answer holds back all requests for that long, and a circuit breaker stops requests for a while after
+// repeated failures instead of letting every download use up its retries
+
+// Statuses that mean the upstream is failing or overloaded, as opposed to refusing one request
+const FAILURE_STATUSES = [429, 500, 502, 503, 504];
+
+// Statuses that may come with a Retry-After header
+const RETRY_AFTER_STATUSES = [429, 503];
+
+// Longest Retry-After honoured, so a bad header can't stop downloads for days
+const MAX_RETRY_AFTER_SECONDS = 60 * 60;
+
+// Error thrown without contacting the upstream while the breaker is open
+function circuitOpenError(retryAt) {
+  const error = new Error(`Upstream paused after repeated failures, next try at ${new Date(retryAt).toLocaleTimeString()}`);
+  error.status = 503;
+  error.unavailable = true;
+  error.circuitOpen = true;
+  return error;
+}
+
+class UpstreamScheduler {
+  constructor() {
+    this.requestsPerSecond = 2;
+    this.failureThreshold = 5;
+    this.cooldownSeconds = 60;
+    // Time the next request may start at, reserved in turn by each request
+    this.nextSlot = 0;
+    // Time until which the upstream asked us to wait with Retry-After
+    this.retryAfterUntil = 0;
+    // closed: requests go out. open: requests fail straight away until the cooldown is over.
+    // half-open: one trial request goes out, and closes the breaker again if it succeeds.
+    this.state = 'closed';
+    this.trialInFlight = false;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.lastError = null;
+    this.cooldownTimer = null;
+    this.changeHandler = null;
+  }
+
+  configure({ requestsPerSecond = 2, failureThreshold = 5, cooldownSeconds = 60 } = {}) {
+    this.requestsPerSecond = requestsPerSecond;
+    this.failureThreshold = failureThreshold;
+    this.cooldownSeconds = cooldownSeconds;
+    console.log(`Upstream requests: ${this.requestsPerSecond > 0 ? `up to ${this.requestsPerSecond}/s` : 'unlimited'}, pausing for ${this.cooldownSeconds}s after ${this.failureThreshold} failures in a row`);
+  }
+
+  // Set a callback invoked with the status whenever the breaker changes state
+  setChangeHandler(handler) {
+    this.changeHandler = handler;
+  }
+
+  // Whether the breaker has tripped - jobs should wait for it to close rather than retry
+  isOpen() {
+    return this.state !== 'closed';
+  }
+
+  // Whether a request would be sent right now rather than refused by the breaker
+  acceptsRequests() {
+    return this.state === 'closed' || (this.state === 'half-open' && !this.trialInFlight);
+  }
+
+  // fetch() for upstream requests. With probe set the request is sent even while the breaker is open,
+  // for health checks that tell when the upstream is back.
+  async fetch(url, { probe = false, ...options } = {}) {
+    const isTrial = !probe && this.state === 'half-open' && !this.trialInFlight;
+    if (!probe && !this.acceptsRequests()) {
+      throw circuitOpenError(this.retryAt);
+    }
+    if (isTrial) {
+      this.trialInFlight = true;
+    }
+
+    try {
+      await this.waitForSlot(options.signal);
+
+      let response;
+      try {
+        response = await fetch(url, options);
+      } catch (error) {
+        // A cancelled request says nothing about the upstream, a timed out one does
+        if (!options.signal?.aborted || options.signal.reason?.name === 'TimeoutError') {
+          this.recordFailure(error.cause?.code || error.cause?.message || error.message);
+        }
+        throw error;
+      }
+
+      if (FAILURE_STATUSES.includes(response.status)) {
+        if (RETRY_AFTER_STATUSES.includes(response.status)) {
+          this.holdFor(this.parseRetryAfter(response.headers.get('retry-after')));
+        }
+        this.recordFailure(`${new URL(url).host} answered ${response.status}`);
+      } else {
+        this.recordSuccess();
+      }
+      return response;
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  // Wait for this request's turn under the global rate and any Retry-After
+  async waitForSlot(signal) {
+    const now = Date.now();
+    const interval = this.requestsPerSecond > 0 ? 1000 / this.requestsPerSecond : 0;
+    const slot = Math.max(now, this.nextSlot, this.retryAfterUntil);
+    this.nextSlot = slot + interval;
+
+    if (slot > now) {
+      await this.sleep(slot - now, signal);
+    }
+  }
+
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        return reject(signal.reason instanceof Error ? signal.reason : new Error('Request aborted'));
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason instanceof Error ? signal.reason : new Error('Request aborted'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Seconds from a Retry-After header, given either as seconds or as a date
+  parseRetryAfter(header) {
+    if (!header) return 0;
+
+    const seconds = /^\d+$/.test(header.trim()) ? parseInt(header) : (new Date(header) - Date.now()) / 1000;
+    return Number.isFinite(seconds) ? Math.min(Math.max(seconds, 0), MAX_RETRY_AFTER_SECONDS) : 0;
+  }
+
+  // Hold back every request for the given number of seconds
+  holdFor(seconds) {
+    if (seconds <= 0) return;
+
+    const until = Date.now() + seconds * 1000;
+    if (until > this.retryAfterUntil) {
+      this.retryAfterUntil = until;
+      console.log(`Upstream asked to wait ${Math.round(seconds)}s before the next request`);
+      this.notifyChange();
+    }
+  }
+
+  recordFailure(reason) {
+    this.consecutiveFailures++;
+    this.lastError = reason;
+
+    if (this.state === 'half-open' || (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold)) {
+      this.open();
+    }
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    if (this.state !== 'closed') {
+      this.close();
+    }
+  }
+
+  open() {
+    this.state = 'open';
+    this.openedAt = this.openedAt || new Date().toISOString();
+    this.retryAt = Date.now() + this.cooldownSeconds * 1000;
+    console.log(`Upstream circuit breaker open after ${this.consecutiveFailures} failures (${this.lastError}), trying again in ${this.cooldownSeconds}s`);
+
+    clearTimeout(this.cooldownTimer);
+    this.cooldownTimer = setTimeout(() => {
+      this.state = 'half-open';
+      console.log('Upstream circuit breaker half-open, letting a trial request through');
+      this.notifyChange();
+    }, this.cooldownSeconds * 1000);
+    this.cooldownTimer.unref();
+
+    this.notifyChange();
+  }
+
+  // Close the breaker, after a successful request or when reset by hand
+  close() {
+    const wasOpen = this.state !== 'closed';
+    clearTimeout(this.cooldownTimer);
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.retryAt = null;
+
+    if (wasOpen) {
+      console.log('Upstream circuit breaker closed');
+      this.notifyChange();
+    }
+  }
+
+  // Delay before retry number `attempt` (1, 2, ...) of a failed request: 2s, 4s, 8s...
+  getRetryDelay(attempt) {
+    return Math.pow(2, attempt) * 1000;
+  }
+
+  notifyChange() {
+    if (this.changeHandler) {
+      try {
+        this.changeHandler(this.getStatus());
+      } catch (error) {
+        console.error('Upstream status handler error:', error.message);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      cooldownSeconds: this.cooldownSeconds,
+      requestsPerSecond: this.requestsPerSecond,
+      openedAt: this.openedAt,
+      retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null,
+      retryAfterUntil: this.retryAfterUntil > Date.now() ? new Date(this.retryAfterUntil).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = new UpstreamScheduler();
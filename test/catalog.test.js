@@ -0,0 +1,290 @@
+const fs = require('fs-extra');
+const path = require('path');
+const StandInCatalog = require('./helpers/standInCatalog');
+const TestServer = require('./helpers/testServer');
+
+describe('catalog endpoints', () => {
+  let catalog;
+  let server;
+
+  beforeAll(async () => {
+    catalog = await new StandInCatalog().start();
+    server = await new TestServer({ apiUrl: catalog.apiUrl }).start();
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+    await catalog?.stop();
+  });
+
+  it('searches albums through the provider', async () => {
+    const { status, data } = await server.get('/api/search?query=test%20pattern');
+
+    expect(status).toBe(200);
+    expect(data.albums.items).toHaveLength(1);
+    expect(data.albums.items[0]).toMatchObject({
+      id: 'test-pattern',
+      title: 'Test Pattern',
+      artist: { name: 'The Fixtures' },
+      image: { large: `${catalog.url}/covers/test-pattern.jpg` }
+    });
+    expect(data.tracks.items).toEqual([]);
+  });
+
+  it('searches tracks with their album', async () => {
+    const { status, data } = await server.get('/api/search?query=color%20bars&type=tracks');
+
+    expect(status).toBe(200);
+    expect(data.albums.items).toEqual([]);
+    expect(data.tracks.items).toHaveLength(1);
+    expect(data.tracks.items[0]).toMatchObject({
+      id: 'test-pattern-2',
+      title: 'Color Bars',
+      album: { id: 'test-pattern', title: 'Test Pattern' }
+    });
+    expect(data.tracks.items[0].audio).toBeUndefined();
+  });
+
+  it('returns album details with tracks', async () => {
+    const { status, data } = await server.get('/api/album/blank-tape');
+
+    expect(status).toBe(200);
+    expect(data.title).toBe('Blank Tape');
+    expect(data.image).toBeNull();
+    expect(data.tracks.items.map(track => track.title)).toEqual(['Leader']);
+  });
+
+  it('answers 404 for an album the provider does not know', async () => {
+    const { status, data } = await server.get('/api/album/no-such-album');
+
+    expect(status).toBe(404);
+    expect(data.error).toBe('Failed to fetch album');
+  });
+
+  it('answers a repeated search from the cache', async () => {
+    const before = catalog.countRequests('/api/get-music');
+    const first = await server.get('/api/search?query=blank%20tape');
+    const second = await server.get('/api/search?query=Blank%20Tape');
+
+    expect(second.data).toEqual(first.data);
+    expect(catalog.countRequests('/api/get-music') - before).toBe(1);
+  });
+
+  it('downloads an album without fetching it again after its page was opened', async () => {
+    await server.get('/api/album/dead-air');
+    const before = catalog.countRequests('/api/get-album');
+
+    // Scheduled far ahead, so it only needs the album to be queued
+    const { status } = await server.post('/api/download/album', { albumId: 'dead-air', quality: 6, notBefore: '2999-01-01T00:00:00Z' });
+
+    expect(status).toBe(200);
+    expect(catalog.countRequests('/api/get-album')).toBe(before);
+  });
+
+  it('records a cancelled queued track and removes its partial download', async () => {
+    const search = await server.get('/api/search?query=calibration&type=tracks');
+    const trackData = search.data.tracks.items[0];
+    const { data } = await server.post('/api/download/track', {
+      trackId: trackData.id,
+      quality: 6,
+      trackData,
+      notBefore: '2999-01-01T00:00:00Z'
+    });
+
+    // What a paused download leaves behind
+    const partialPath = path.join(server.paths.temp, `track_${data.downloadId}`, `temp_${data.downloadId}.flac`);
+    await fs.outputFile(partialPath, 'partial');
+
+    const { status } = await server.request('DELETE', `/api/download/${data.downloadId}`);
+    expect(status).toBe(200);
+    expect(await fs.pathExists(partialPath)).toBe(false);
+
+    const { data: history } = await server.get('/api/history');
+    expect(history.find(item => item.id === data.downloadId)).toMatchObject({
+      type: 'track',
+      title: 'Calibration',
+      album: 'Test Pattern',
+      status: 'cancelled'
+    });
+  });
+
+  it('gives downloads queued at the same time their own IDs', async () => {
+    const search = await server.get('/api/search?query=calibration&type=tracks');
+    const trackData = search.data.tracks.items[0];
+    const enqueue = () => server.post('/api/download/track', {
+      trackId: trackData.id,
+      quality: 6,
+      trackData,
+      onDuplicate: 'keepBoth',
+      notBefore: '2999-01-01T00:00:00Z'
+    });
+
+    const responses = await Promise.all([enqueue(), enqueue(), enqueue()]);
+    const ids = responses.map(({ data }) => data.downloadId);
+    expect(new Set(ids).size).toBe(3);
+
+    const { data: downloads } = await server.get('/api/downloads');
+    expect(downloads.active.filter(download => ids.includes(download.id))).toHaveLength(3);
+
+    for (const id of ids) {
+      await server.request('DELETE', `/api/download/${id}`);
+    }
+  });
+
+  it('sets and clears the start time of a waiting download', async () => {
+    const search = await server.get('/api/search?query=calibration&type=tracks');
+    const trackData = search.data.tracks.items[0];
+    const { data } = await server.post('/api/download/track', {
+      trackId: trackData.id,
+      quality: 6,
+      trackData,
+      notBefore: '2999-01-01T00:00:00Z'
+    });
+    const findDownload = async () => (await server.get('/api/downloads')).data.active.find(download => download.id === data.downloadId);
+
+    await server.post(`/api/download/${data.downloadId}/schedule`, { notBefore: '2998-06-01T12:00:00Z' });
+    expect(await findDownload()).toMatchObject({ status: 'scheduled', notBefore: '2998-06-01T12:00:00.000Z' });
+
+    // Paused first, so clearing the start time does not let it run
+    await server.post(`/api/download/${data.downloadId}/pause`);
+    await server.post(`/api/download/${data.downloadId}/schedule`, { notBefore: null });
+    expect(await findDownload()).toMatchObject({ status: 'paused', notBefore: null });
+
+    await server.request('DELETE', `/api/download/${data.downloadId}`);
+  });
+
+  it('lists and clears cached lookups', async () => {
+    const { data: cached } = await server.get('/api/catalog/cache');
+    expect(cached).toMatchObject({ enabled: true, ttlSeconds: 600, persistent: false });
+    expect(cached.hits).toBeGreaterThan(0);
+    expect(cached.entries.map(entry => entry.key)).toEqual(expect.arrayContaining([
+      'qobuz:album:dead-air',
+      'qobuz:search:albums:25:blank tape'
+    ]));
+
+    const { data: afterAlbums } = await server.request('DELETE', '/api/catalog/cache?type=album');
+    expect(afterAlbums.removed).toBeGreaterThan(0);
+    expect(afterAlbums.entries.every(entry => entry.type === 'search')).toBe(true);
+
+    const { data: afterAll } = await server.request('DELETE', '/api/catalog/cache');
+    expect(afterAll).toMatchObject({ size: 0, entries: [] });
+
+    const before = catalog.countRequests('/api/get-album');
+    await server.get('/api/album/dead-air');
+    expect(catalog.countRequests('/api/get-album')).toBe(before + 1);
+  });
+
+  it('reports the provider as reachable', async () => {
+    // The first check runs at startup, possibly before the WebSocket connected
+    const data = await server.waitFor(async () => {
+      const response = await server.get('/api/provider/status');
+      return response.data.reachable !== null && response.data;
+    }, 15000, 'the first provider check');
+
+    expect(data).toMatchObject({ provider: 'qobuz', reachable: true, error: null });
+    expect(typeof data.latency).toBe('number');
+  });
+});
+
+describe('catalog endpoints with the provider down', () => {
+  let catalog;
+  let server;
+
+  beforeAll(async () => {
+    // Take the address of a stand-in and stop it, so nothing answers there
+    catalog = await new StandInCatalog().start();
+    await catalog.stop();
+    server = await new TestServer({ apiUrl: catalog.apiUrl }).start();
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+  });
+
+  it('answers searches with provider unavailable', async () => {
+    const { status, data } = await server.get('/api/search?query=anything');
+
+    expect(status).toBe(503);
+    expect(data).toMatchObject({ error: 'Provider unavailable', provider: 'qobuz' });
+  });
+
+  it('refuses album downloads with provider unavailable', async () => {
+    const { status, data } = await server.post('/api/download/album', { albumId: 'test-pattern', quality: 6 });
+
+    expect(status).toBe(503);
+    expect(data.error).toBe('Provider unavailable');
+  });
+
+  it('reports the provider as unreachable', async () => {
+    const { data } = await server.post('/api/provider/check');
+
+    expect(data).toMatchObject({ provider: 'qobuz', reachable: false, latency: null });
+    expect(data.error).toMatch(/Provider unavailable/);
+  });
+});
+
+describe('upstream request scheduling', () => {
+  let catalog;
+  let server;
+
+  beforeAll(async () => {
+    catalog = await new StandInCatalog().start();
+    server = await new TestServer({
+      apiUrl: catalog.apiUrl,
+      env: { UPSTREAM_FAILURE_THRESHOLD: '2', UPSTREAM_COOLDOWN: '60' }
+    }).start();
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+    await catalog?.stop();
+  });
+
+  afterEach(() => {
+    catalog.setOutage(null);
+  });
+
+  it('spaces requests out to the configured rate', async () => {
+    const started = Date.now();
+    await Promise.all(['one', 'two', 'three'].map(query => server.get(`/api/search?query=${query}`)));
+
+    // Two requests a second: the third starts a second after the first
+    expect(Date.now() - started).toBeGreaterThanOrEqual(900);
+  });
+
+  it('holds back the next request for the time given in Retry-After', async () => {
+    catalog.setOutage({ status: 429, retryAfter: 2 });
+    const { status } = await server.get('/api/search?query=busy');
+    expect(status).toBe(500);
+
+    catalog.setOutage(null);
+    const started = Date.now();
+    const retried = await server.get('/api/search?query=busy');
+
+    expect(retried.status).toBe(200);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(1500);
+  });
+
+  it('stops sending requests after repeated failures until reset', async () => {
+    catalog.setOutage({ status: 502 });
+    expect((await server.get('/api/search?query=first%20failure')).status).toBe(503);
+    expect((await server.get('/api/search?query=second%20failure')).status).toBe(503);
+
+    const { data: status } = await server.get('/api/upstream/status');
+    expect(status).toMatchObject({ state: 'open', consecutiveFailures: 2, failureThreshold: 2, cooldownSeconds: 60 });
+    expect(status.lastError).toMatch(/502/);
+    await server.waitForMessage('upstream_status', data => data.state === 'open');
+
+    // Refused without asking the upstream
+    const before = catalog.countRequests('/api/get-music');
+    const { status: refused, data } = await server.get('/api/search?query=while%20open');
+    expect(refused).toBe(503);
+    expect(data.details).toMatch(/paused after repeated failures/);
+    expect(catalog.countRequests('/api/get-music')).toBe(before);
+
+    catalog.setOutage(null);
+    const { data: reset } = await server.post('/api/upstream/reset');
+    expect(reset).toMatchObject({ state: 'closed', consecutiveFailures: 0, retryAt: null });
+    expect((await server.get('/api/search?query=while%20open')).status).toBe(200);
+  });
+});
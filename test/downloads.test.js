@@ -0,0 +1,388 @@
+const fs = require('fs-extra');
+const path = require('path');
+const StandInCatalog = require('./helpers/standInCatalog');
+const TestServer = require('./helpers/testServer');
+const { hasFfmpeg, probe } = require('./helpers/audio');
+
+// Files are tagged and verified with FFmpeg, which the Docker image installs. Without it these tests fail,
+// unless SKIP_PIPELINE_TESTS=true leaves them out on purpose.
+const describeWithFfmpeg = process.env.SKIP_PIPELINE_TESTS === 'true' ? describe.skip : describe;
+
+beforeAll(() => {
+  if (!hasFfmpeg()) {
+    throw new Error('The download pipeline tests need ffmpeg and ffprobe on the PATH (set SKIP_PIPELINE_TESTS=true to skip them)');
+  }
+});
+
+// The history entry for a download, once it has been written to the data folder
+async function waitForHistory(server, downloadId) {
+  const historyFile = path.join(server.paths.data, 'download_history.json');
+  return server.waitFor(async () => {
+    if (!await fs.pathExists(historyFile)) return null;
+    const history = await fs.readJson(historyFile).catch(() => []);
+    return history.find(item => item.id === downloadId);
+  }, 10000, `history entry for ${downloadId}`);
+}
+
+// Wait for the staging folders under TEMP_PATH to be cleaned up
+function waitForEmptyTemp(server) {
+  return server.waitFor(async () => (await fs.readdir(server.paths.temp)).length === 0, 10000, 'an empty temp folder');
+}
+
+describeWithFfmpeg('download pipeline', () => {
+  let catalog;
+  let server;
+
+  beforeAll(async () => {
+    catalog = await new StandInCatalog().start();
+    server = await new TestServer({ apiUrl: catalog.apiUrl }).start();
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+    await catalog?.stop();
+  });
+
+  it('downloads an album, tags every track and embeds the cover', async () => {
+    const { status, data } = await server.post('/api/download/album', { albumId: 'test-pattern', quality: 6 });
+    expect(status).toBe(200);
+    expect(data).toMatchObject({ skipped: false, trackCount: 2 });
+
+    const final = await server.waitForDownload(data.downloadId);
+    expect(final).toMatchObject({ status: 'completed', completedTracks: 2, failedTracks: 0 });
+
+    const albumDir = path.join(server.paths.music, 'The Fixtures - Test Pattern (2019)');
+    expect(final.filePath).toBe(albumDir);
+    expect((await fs.readdir(albumDir)).filter(file => file.endsWith('.flac')).sort())
+      .toEqual(['01 - Calibration.flac', '02 - Color Bars.flac']);
+
+    const { audio, artwork, tags } = await probe(path.join(albumDir, '02 - Color Bars.flac'));
+    expect(audio[0].codec_name).toBe('flac');
+    expect(artwork).toHaveLength(1);
+    expect(tags).toMatchObject({ title: 'Color Bars', artist: 'The Fixtures', album: 'Test Pattern' });
+    expect(parseInt(tags.track)).toBe(2);
+
+    const statuses = server.updatesFor(data.downloadId).map(update => update.status);
+    expect(statuses).toEqual(expect.arrayContaining(['downloading', 'moving files', 'completed']));
+
+    const historyItem = await waitForHistory(server, data.downloadId);
+    expect(historyItem).toMatchObject({
+      type: 'album',
+      title: 'Test Pattern',
+      artist: 'The Fixtures',
+      status: 'completed',
+      albumId: 'test-pattern',
+      filePath: albumDir,
+      failedTracks: []
+    });
+
+    await waitForEmptyTemp(server);
+  });
+
+  it('tags audio only when the album has no cover', async () => {
+    const { data } = await server.post('/api/download/album', { albumId: 'blank-tape', quality: 6 });
+
+    const final = await server.waitForDownload(data.downloadId);
+    expect(final.status).toBe('completed');
+
+    const { artwork, tags } = await probe(path.join(final.filePath, '01 - Leader.flac'));
+    expect(artwork).toHaveLength(0);
+    expect(tags).toMatchObject({ title: 'Leader', album: 'Blank Tape' });
+
+    await waitForEmptyTemp(server);
+  });
+
+  it('retries a track whose file fails to download', async () => {
+    catalog.failFileRequests('dead-air-1', 1);
+
+    const { data } = await server.post('/api/download/album', { albumId: 'dead-air', quality: 6 });
+
+    const final = await server.waitForDownload(data.downloadId);
+    expect(final).toMatchObject({ status: 'completed', completedTracks: 1, failedTracks: 0 });
+    expect(catalog.countRequests('/files/dead-air-1/')).toBe(2);
+    expect(await fs.pathExists(path.join(final.filePath, '01 - Off the Air.flac'))).toBe(true);
+
+    // The track is shown waiting for its retry before it completes
+    const retrying = server.updatesFor(data.downloadId)
+      .flatMap(update => update.tracks || [])
+      .find(track => track.id === 'dead-air-1' && track.status === 'retrying');
+    expect(retrying).toBeDefined();
+    expect(retrying.error).toMatch(/500/);
+
+    await waitForEmptyTemp(server);
+  });
+
+  it('retries a single track whose file fails to download', async () => {
+    const search = await server.get('/api/search?query=off%20the%20air&type=tracks');
+    const trackData = search.data.tracks.items[0];
+    const requestsBefore = catalog.countRequests(`/files/${trackData.id}/`);
+    catalog.failFileRequests(trackData.id, 1);
+
+    const { data } = await server.post('/api/download/track', { trackId: trackData.id, quality: 6, trackData, onDuplicate: 'keepBoth' });
+
+    const final = await server.waitForDownload(data.downloadId);
+    expect(final.status).toBe('completed');
+    expect(catalog.countRequests(`/files/${trackData.id}/`) - requestsBefore).toBe(2);
+    expect(server.updatesFor(data.downloadId).map(update => update.status)).toContainEqual(expect.stringMatching(/^retry in/));
+
+    await waitForEmptyTemp(server);
+  });
+
+  it('downloads a single MP3 track through its staging folder', async () => {
+    const search = await server.get('/api/search?query=interval%20signal&type=tracks');
+    const trackData = search.data.tracks.items[0];
+
+    const { status, data } = await server.post('/api/download/track', { trackId: trackData.id, quality: 5, trackData });
+    expect(status).toBe(200);
+    expect(data.skipped).toBe(false);
+
+    const final = await server.waitForDownload(data.downloadId);
+    expect(final.status).toBe('completed');
+    expect(final.filePath).toBe(path.join(server.paths.music, 'The Fixtures - Station Ident (2020)', '01 - Interval Signal.mp3'));
+
+    const { audio, artwork, tags } = await probe(final.filePath);
+    expect(audio[0].codec_name).toBe('mp3');
+    expect(artwork).toHaveLength(1);
+    expect(tags).toMatchObject({ title: 'Interval Signal', artist: 'The Fixtures', album: 'Station Ident' });
+
+    const historyItem = await waitForHistory(server, data.downloadId);
+    expect(historyItem).toMatchObject({
+      type: 'track',
+      title: 'Interval Signal',
+      album: 'Station Ident',
+      quality: 'MP3 320k',
+      status: 'completed',
+      filePath: final.filePath
+    });
+
+    await waitForEmptyTemp(server);
+  });
+
+  it('skips an album that is already in the library', async () => {
+    const { status, data } = await server.post('/api/download/album', { albumId: 'test-pattern', quality: 6 });
+
+    expect(status).toBe(200);
+    expect(data).toMatchObject({
+      skipped: true,
+      existingPath: path.join(server.paths.music, 'The Fixtures - Test Pattern (2019)')
+    });
+  });
+
+  it('offers upgrades only where the catalog has better quality, matching folders by their tags', async () => {
+    const { status, data } = await server.get('/api/library/upgrades?quality=7');
+    expect(status).toBe(200);
+
+    // The CD quality albums are all the catalog has. The MP3 single has no manifest but is tagged.
+    expect(data.albums).toEqual([expect.objectContaining({
+      path: path.join(server.paths.music, 'The Fixtures - Station Ident (2020)'),
+      albumId: 'station-ident',
+      identifiedBy: 'tags',
+      quality: 5,
+      targetQuality: 6
+    })]);
+    expect(data.unidentified).toEqual([]);
+  });
+
+  it('replaces an upgraded album inside the library folder', async () => {
+    const albumDir = path.join(server.paths.music, 'The Fixtures - Station Ident (2020)');
+    const { data } = await server.post('/api/library/upgrade', { quality: 7, paths: [albumDir] });
+    expect(data.queued).toEqual([expect.objectContaining({ path: albumDir, from: 'MP3 320k', to: 'CD Quality' })]);
+
+    const final = await server.waitForDownload(data.queued[0].downloadId);
+    expect(final.status).toBe('completed');
+    expect((await fs.readdir(albumDir)).filter(file => !file.startsWith('.')).sort())
+      .toEqual(['01 - Interval Signal.flac', 'Cover.jpg']);
+
+    // Nothing is left next to the album once the old version has been replaced
+    expect((await fs.readdir(server.paths.music)).filter(entry => entry.startsWith('.'))).toEqual([]);
+    await waitForEmptyTemp(server);
+  });
+});
+
+describeWithFfmpeg('download pipeline when the album folder cannot be moved', () => {
+  let catalog;
+  let server;
+
+  beforeAll(async () => {
+    catalog = await new StandInCatalog().start();
+    server = await new TestServer({
+      apiUrl: catalog.apiUrl,
+      nodeArgs: ['--require', path.join(__dirname, 'helpers', 'failAlbumMove.js')]
+    }).start();
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+    await catalog?.stop();
+  });
+
+  it('copies the album into the library instead', async () => {
+    const { data } = await server.post('/api/download/album', { albumId: 'test-pattern', quality: 6 });
+
+    const final = await server.waitForDownload(data.downloadId);
+    expect(final.status).toBe('completed');
+    expect(server.output).toMatch(/Album copied successfully to final location/);
+
+    expect((await fs.readdir(final.filePath)).filter(file => file.endsWith('.flac')).sort())
+      .toEqual(['01 - Calibration.flac', '02 - Color Bars.flac']);
+    const { tags } = await probe(path.join(final.filePath, '01 - Calibration.flac'));
+    expect(tags.title).toBe('Calibration');
+
+    // The staging copy is still removed once the album is in place
+    await waitForEmptyTemp(server);
+  });
+});
+
+describeWithFfmpeg('download pipeline while the upstream is failing', () => {
+  let catalog;
+  let server;
+
+  beforeAll(async () => {
+    catalog = await new StandInCatalog().start();
+    server = await new TestServer({
+      apiUrl: catalog.apiUrl,
+      env: { UPSTREAM_FAILURE_THRESHOLD: '2', UPSTREAM_COOLDOWN: '2' }
+    }).start();
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+    await catalog?.stop();
+  });
+
+  it('waits in the queue instead of using up its retries, then completes', async () => {
+    // Both tries of the first attempt fail, which opens the breaker
+    catalog.failFileRequests('dead-air-1', 2);
+
+    const { data } = await server.post('/api/download/album', { albumId: 'dead-air', quality: 6 });
+
+    const final = await server.waitForDownload(data.downloadId);
+    expect(final).toMatchObject({ status: 'completed', completedTracks: 1, failedTracks: 0 });
+    expect(catalog.countRequests('/files/dead-air-1/')).toBe(3);
+
+    const statuses = server.updatesFor(data.downloadId).map(update => update.status);
+    expect(statuses).toContain('waiting for upstream');
+
+    const breakerStates = server.messages
+      .filter(message => message.type === 'upstream_status')
+      .map(message => message.data.state);
+    expect(breakerStates).toEqual(expect.arrayContaining(['open', 'half-open', 'closed']));
+
+    await waitForEmptyTemp(server);
+  });
+});
+
+describeWithFfmpeg('download pipeline with expiring download URLs', () => {
+  let catalog;
+  let server;
+
+  beforeAll(async () => {
+    catalog = await new StandInCatalog().start();
+    server = await new TestServer({ apiUrl: catalog.apiUrl }).start();
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+    await catalog?.stop();
+  });
+
+  it('asks for a new URL when one has expired instead of retrying it', async () => {
+    catalog.expireUrls('test-pattern-2', 1);
+
+    const { data } = await server.post('/api/download/album', { albumId: 'test-pattern', quality: 6 });
+
+    const final = await server.waitForDownload(data.downloadId);
+    expect(final).toMatchObject({ status: 'completed', completedTracks: 2, failedTracks: 0, urlRefreshes: 1 });
+    expect(final.tracks.find(track => track.id === 'test-pattern-2')).toMatchObject({ urlRefreshes: 1, retries: 0 });
+
+    // One URL for each track plus the replacement, and the expired one was fetched only once
+    expect(catalog.countRequests('/api/download-music')).toBe(3);
+    expect(catalog.countRequests('/files/test-pattern-2/')).toBe(2);
+
+    // Fetched again straight away, without waiting for a retry
+    const retrying = server.updatesFor(data.downloadId)
+      .flatMap(update => update.tracks || [])
+      .find(track => track.status === 'retrying');
+    expect(retrying).toBeUndefined();
+
+    const historyItem = await waitForHistory(server, data.downloadId);
+    expect(historyItem).toMatchObject({ status: 'completed', urlRefreshes: 1 });
+
+    await waitForEmptyTemp(server);
+  });
+
+  it('does not use up an attempt for a refreshed URL', async () => {
+    const urlRequestsBefore = catalog.countRequests('/api/download-music');
+    catalog.expireUrls('dead-air-1', 1);
+    catalog.failFileRequests('dead-air-1', 2);
+
+    const { data } = await server.post('/api/download/album', { albumId: 'dead-air', quality: 6 });
+
+    const final = await server.waitForDownload(data.downloadId);
+    expect(final).toMatchObject({ status: 'completed', completedTracks: 1, urlRefreshes: 1 });
+    expect(final.tracks[0]).toMatchObject({ urlRefreshes: 1, retries: 2 });
+
+    // The expired URL and its replacement - the two failures and the download after them used the same one
+    expect(catalog.countRequests('/api/download-music') - urlRequestsBefore).toBe(2);
+    expect(catalog.countRequests('/files/dead-air-1/')).toBe(4);
+
+    await waitForEmptyTemp(server);
+  });
+
+  it('asks for a new URL for a single track too', async () => {
+    const search = await server.get('/api/search?query=interval%20signal&type=tracks');
+    const trackData = search.data.tracks.items[0];
+    catalog.expireUrls(trackData.id, 1);
+
+    const { data } = await server.post('/api/download/track', { trackId: trackData.id, quality: 6, trackData });
+
+    const final = await server.waitForDownload(data.downloadId);
+    expect(final).toMatchObject({ status: 'completed', urlRefreshes: 1 });
+    expect(catalog.countRequests(`/files/${trackData.id}/`)).toBe(2);
+
+    const historyItem = await waitForHistory(server, data.downloadId);
+    expect(historyItem).toMatchObject({ type: 'track', status: 'completed', urlRefreshes: 1 });
+
+    await waitForEmptyTemp(server);
+  });
+});
+
+describeWithFfmpeg('download pipeline over a connection that drops', () => {
+  let catalog;
+  let server;
+
+  beforeAll(async () => {
+    catalog = await new StandInCatalog().start();
+    server = await new TestServer({ apiUrl: catalog.apiUrl }).start();
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+    await catalog?.stop();
+  });
+
+  it('resumes a track where the connection dropped and ends with the same file', async () => {
+    const { data: undisturbed } = await server.post('/api/download/album', { albumId: 'test-pattern', quality: 6 });
+    const reference = await server.waitForDownload(undisturbed.downloadId);
+    expect(reference.status).toBe('completed');
+
+    catalog.dropFileRequests('test-pattern-2', 1000);
+    const before = catalog.countRequests('/files/test-pattern-2/');
+    const { data } = await server.post('/api/download/album', { albumId: 'test-pattern', quality: 6, onDuplicate: 'keepBoth' });
+
+    const final = await server.waitForDownload(data.downloadId);
+    expect(final).toMatchObject({ status: 'completed', completedTracks: 2, failedTracks: 0 });
+    expect(final.filePath).not.toBe(reference.filePath);
+
+    // The retry asked only for what was missing
+    const ranges = catalog.requestsTo('/files/test-pattern-2/').slice(before).map(request => request.headers.range);
+    expect(ranges).toEqual([undefined, 'bytes=1000-']);
+
+    for (const fileName of ['01 - Calibration.flac', '02 - Color Bars.flac']) {
+      const resumed = await fs.readFile(path.join(final.filePath, fileName));
+      expect(resumed.equals(await fs.readFile(path.join(reference.filePath, fileName)))).toBe(true);
+    }
+
+    await waitForEmptyTemp(server);
+  });
+});
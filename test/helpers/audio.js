@@ -0,0 +1,33 @@
+// Reads downloaded files back with ffprobe, which comes with the FFmpeg the downloads need anyway
+const { execFile, spawnSync } = require('child_process');
+
+// Downloads are tagged and checked with FFmpeg, so the pipeline tests need it installed
+function hasFfmpeg() {
+  return ['ffmpeg', 'ffprobe'].every(command => {
+    const result = spawnSync(command, ['-version'], { stdio: 'ignore' });
+    return !result.error && result.status === 0;
+  });
+}
+
+// Streams and tags of a file, with tag names in lower case since FLAC and MP3 spell them differently
+function probe(filePath) {
+  return new Promise((resolve, reject) => {
+    execFile('ffprobe', ['-v', 'error', '-show_streams', '-show_format', '-of', 'json', filePath], (error, stdout) => {
+      if (error) return reject(error);
+
+      const { streams = [], format = {} } = JSON.parse(stdout);
+      const tags = {};
+      for (const [key, value] of Object.entries(format.tags || {})) {
+        tags[key.toLowerCase()] = value;
+      }
+
+      resolve({
+        audio: streams.filter(stream => stream.codec_type === 'audio'),
+        artwork: streams.filter(stream => stream.codec_type === 'video' && stream.disposition?.attached_pic === 1),
+        tags
+      });
+    });
+  });
+}
+
+module.exports = { hasFfmpeg, probe };
@@ -0,0 +1,18 @@
+// Preloaded into the server to make moving a folder from TEMP_PATH into DOWNLOAD_PATH fail, as it can
+// when the two are on different disks, so the copy fallback gets used
+const fs = require('fs-extra');
+const path = require('path');
+
+const move = fs.move;
+
+fs.move = async function (source, destination, options) {
+  const fromTemp = path.resolve(source).startsWith(path.resolve(process.env.TEMP_PATH) + path.sep);
+  const intoLibrary = path.resolve(destination).startsWith(path.resolve(process.env.DOWNLOAD_PATH) + path.sep);
+
+  if (fromTemp && intoLibrary && (await fs.stat(source)).isDirectory()) {
+    const error = new Error(`EXDEV: cross-device link not permitted, rename '${source}' -> '${destination}'`);
+    error.code = 'EXDEV';
+    throw error;
+  }
+  return move.call(this, source, destination, options);
+};
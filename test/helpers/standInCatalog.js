@@ -0,0 +1,277 @@
+// Local HTTP server answering like the qobuz-proxy API, serving albums, audio and covers from test/fixtures/catalog
+const fs = require('fs-extra');
+const path = require('path');
+const http = require('http');
+
+const FIXTURES_PATH = path.join(__dirname, '..', 'fixtures', 'catalog');
+
+// Quality IDs from lowest to highest, to pick the audio file closest to the requested quality
+const QUALITY_ORDER = [5, 6, 7, 27];
+
+const CONTENT_TYPES = {
+  '.flac': 'audio/flac',
+  '.mp3': 'audio/mpeg',
+  '.jpg': 'image/jpeg'
+};
+
+class StandInCatalog {
+  constructor(fixturesPath = FIXTURES_PATH) {
+    this.fixturesPath = fixturesPath;
+    this.albums = [];
+    this.server = null;
+    this.url = null;
+    // Every request received, as { method, path, headers }
+    this.requests = [];
+    // Track ID to the number of file requests still to answer with an error
+    this.failures = new Map();
+    // Track ID to { afterBytes, count }: file requests whose connection is dropped after that many bytes
+    this.drops = new Map();
+    // 'full' answers Range requests with 206, 'ignore' with the whole file as 200, and 'misaligned'
+    // with a 206 that starts at the beginning of the file
+    this.rangeSupport = 'full';
+    // { status, retryAfter } every request is answered with while the service is "down"
+    this.outage = null;
+    // Track ID to the number of download URLs still to hand out already expired
+    this.expiringUrls = new Map();
+  }
+
+  get apiUrl() {
+    return `${this.url}/api`;
+  }
+
+  async start() {
+    const albumsDir = path.join(this.fixturesPath, 'albums');
+    const files = (await fs.readdir(albumsDir)).filter(file => file.endsWith('.json')).sort();
+    this.albums = await Promise.all(files.map(file => fs.readJson(path.join(albumsDir, file))));
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      });
+    });
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  // Answer the next `count` downloads of a track's file with a server error
+  failFileRequests(trackId, count = 1) {
+    this.failures.set(String(trackId), count);
+  }
+
+  // Drop the connection of the next `count` downloads of a track's file after `afterBytes` bytes
+  dropFileRequests(trackId, afterBytes, count = 1) {
+    this.drops.set(String(trackId), { afterBytes, count });
+  }
+
+  // Hand out the next `count` download URLs of a track already expired, so fetching them answers 403
+  expireUrls(trackId, count = 1) {
+    this.expiringUrls.set(String(trackId), count);
+  }
+
+  // Answer every request with this status, and a Retry-After header if given, until setOutage(null)
+  setOutage(outage) {
+    this.outage = outage ? { status: 503, ...outage } : null;
+  }
+
+  // Requests received for a path, e.g. requestsTo('/files/test-pattern-1/')
+  requestsTo(pathPrefix) {
+    return this.requests.filter(request => request.path.startsWith(pathPrefix));
+  }
+
+  countRequests(pathPrefix) {
+    return this.requestsTo(pathPrefix).length;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    this.requests.push({ method: req.method, path: url.pathname, headers: req.headers });
+
+    if (this.outage) {
+      const headers = this.outage.retryAfter !== undefined ? { 'Retry-After': String(this.outage.retryAfter) } : {};
+      res.writeHead(this.outage.status, headers);
+      return res.end();
+    }
+
+    if (url.pathname === '/api/get-music') {
+      return this.sendJson(res, { albums: { items: this.searchAlbums(url.searchParams.get('q')) }, tracks: { items: [] } });
+    }
+
+    if (url.pathname === '/api/search') {
+      return this.sendJson(res, { tracks: { items: this.searchTracks(url.searchParams.get('query')) } });
+    }
+
+    if (url.pathname === '/api/get-album') {
+      const album = this.findAlbum(url.searchParams.get('album_id'));
+      if (!album) return this.sendJson(res, { error: 'Album not found' }, 404);
+      return this.sendJson(res, { album: this.toCatalogAlbum(album) });
+    }
+
+    if (url.pathname === '/api/download-music') {
+      const trackId = url.searchParams.get('track_id');
+      const found = this.findTrack(trackId);
+      if (!found) return this.sendJson(res, { error: 'Track not found' }, 404);
+
+      // Signed like the real file links: valid for an hour, or already expired when asked to
+      const remainingExpired = this.expiringUrls.get(trackId) || 0;
+      if (remainingExpired > 0) {
+        this.expiringUrls.set(trackId, remainingExpired - 1);
+      }
+      const expires = remainingExpired > 0 ? Date.now() - 1000 : Date.now() + 60 * 60 * 1000;
+
+      const quality = this.pickQuality(found.track, Number(url.searchParams.get('quality')));
+      return this.sendJson(res, { url: `${this.url}/files/${encodeURIComponent(trackId)}/${quality}?expires=${expires}` });
+    }
+
+    const fileMatch = url.pathname.match(/^\/files\/([^/]+)\/(\d+)$/);
+    if (fileMatch) {
+      const trackId = decodeURIComponent(fileMatch[1]);
+      if (url.searchParams.has('expires') && Number(url.searchParams.get('expires')) < Date.now()) {
+        res.writeHead(403);
+        return res.end();
+      }
+
+      const remainingFailures = this.failures.get(trackId) || 0;
+      if (remainingFailures > 0) {
+        this.failures.set(trackId, remainingFailures - 1);
+        res.writeHead(500);
+        return res.end();
+      }
+
+      const found = this.findTrack(trackId);
+      const audio = found?.track.audio?.[fileMatch[2]];
+      if (!audio) {
+        res.writeHead(404);
+        return res.end();
+      }
+
+      let dropAfter = null;
+      const drop = this.drops.get(trackId);
+      if (drop?.count > 0) {
+        drop.count--;
+        dropAfter = drop.afterBytes;
+      }
+      return this.sendFile(req, res, audio, { dropAfter });
+    }
+
+    if (url.pathname.startsWith('/covers/')) {
+      return this.sendFile(req, res, url.pathname.slice(1));
+    }
+
+    res.writeHead(404);
+    res.end();
+  }
+
+  sendJson(res, data, status = 200) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  // Send a fixture file, or the part a "Range: bytes=N-" header asks for. With dropAfter the connection
+  // is closed after that many bytes, like a transfer cut off half way.
+  async sendFile(req, res, relativePath, { dropAfter = null } = {}) {
+    const filePath = path.join(this.fixturesPath, relativePath);
+    if (!await fs.pathExists(filePath)) {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const data = await fs.readFile(filePath);
+    const headers = { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' };
+    const rangeStart = this.rangeSupport !== 'ignore' ? this.parseRangeStart(req.headers.range) : null;
+
+    let status = 200;
+    let body = data;
+    if (rangeStart !== null && rangeStart >= data.length) {
+      res.writeHead(416, { 'Content-Range': `bytes */${data.length}` });
+      return res.end();
+    }
+    if (rangeStart !== null) {
+      const start = this.rangeSupport === 'misaligned' ? 0 : rangeStart;
+      status = 206;
+      body = data.subarray(start);
+      headers['Content-Range'] = `bytes ${start}-${data.length - 1}/${data.length}`;
+    }
+
+    res.writeHead(status, { ...headers, 'Content-Length': body.length });
+    if (dropAfter === null) {
+      return res.end(body);
+    }
+
+    // Give the client time to write what it got before the connection goes
+    res.write(body.subarray(0, dropAfter));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    res.socket.destroy();
+  }
+
+  // Start byte of a "bytes=N-" Range header, or null
+  parseRangeStart(header) {
+    const match = /^bytes=(\d+)-$/.exec(header || '');
+    return match ? Number(match[1]) : null;
+  }
+
+  findAlbum(albumId) {
+    return this.albums.find(album => String(album.id) === String(albumId));
+  }
+
+  findTrack(trackId) {
+    for (const album of this.albums) {
+      const track = album.tracks.items.find(item => String(item.id) === String(trackId));
+      if (track) return { album, track };
+    }
+    return null;
+  }
+
+  // Best quality the track has up to the requested one, like the real service
+  pickQuality(track, quality) {
+    const available = Object.keys(track.audio || {})
+      .map(Number)
+      .sort((a, b) => QUALITY_ORDER.indexOf(a) - QUALITY_ORDER.indexOf(b));
+    const wanted = QUALITY_ORDER.indexOf(quality);
+    return available.filter(id => QUALITY_ORDER.indexOf(id) <= wanted).pop() ?? available[0];
+  }
+
+  // An album as the API returns it: the cover path becomes URLs and the audio files are left out
+  toCatalogAlbum(album) {
+    const imageUrl = album.image ? `${this.url}/${album.image}` : null;
+    return {
+      ...album,
+      image: imageUrl ? { small: imageUrl, medium: imageUrl, large: imageUrl } : null,
+      tracks: {
+        ...album.tracks,
+        items: album.tracks.items.map(({ audio, ...track }) => track)
+      }
+    };
+  }
+
+  albumSummary(album) {
+    const { tracks, ...summary } = this.toCatalogAlbum(album);
+    return summary;
+  }
+
+  // Albums whose title and artist contain every word of the query, in any order
+  searchAlbums(query) {
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return this.albums
+      .filter(album => words.every(word => `${album.title} ${album.artist?.name}`.toLowerCase().includes(word)))
+      .map(album => this.albumSummary(album));
+  }
+
+  searchTracks(query) {
+    const text = (query || '').toLowerCase();
+    return this.albums.flatMap(album => this.toCatalogAlbum(album).tracks.items
+      .filter(track => `${track.title} ${track.performer?.name}`.toLowerCase().includes(text))
+      .map(track => ({ ...track, album: this.albumSummary(album) })));
+  }
+}
+
+module.exports = StandInCatalog;
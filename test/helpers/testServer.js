@@ -0,0 +1,148 @@
+// Runs server.js in a child process with its own music, temp and data folders, and records its WebSocket messages
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server.js');
+const STARTUP_TIMEOUT = 15000;
+
+async function getFreePort() {
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+class TestServer {
+  constructor({ apiUrl, env = {}, nodeArgs = [] }) {
+    this.apiUrl = apiUrl;
+    this.env = env;
+    this.nodeArgs = nodeArgs;
+    this.child = null;
+    this.socket = null;
+    this.output = '';
+    this.messages = [];
+  }
+
+  async start() {
+    this.root = await fs.mkdtemp(path.join(os.tmpdir(), 'quackbus-test-'));
+    this.paths = {
+      music: path.join(this.root, 'music'),
+      temp: path.join(this.root, 'temp'),
+      data: path.join(this.root, 'data')
+    };
+    this.port = await getFreePort();
+    this.url = `http://127.0.0.1:${this.port}`;
+
+    this.child = spawn(process.execPath, [...this.nodeArgs, SERVER_PATH], {
+      env: {
+        ...process.env,
+        PORT: String(this.port),
+        DOWNLOAD_PATH: this.paths.music,
+        TEMP_PATH: this.paths.temp,
+        DATA_PATH: this.paths.data,
+        CATALOG_PROVIDER: 'qobuz',
+        API_BASE_URL: this.apiUrl,
+        MIN_FREE_SPACE_MB: '0',
+        ...this.env
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    this.child.stdout.on('data', chunk => { this.output += chunk; });
+    this.child.stderr.on('data', chunk => { this.output += chunk; });
+
+    await this.waitForOutput(/QuackBus running on port/, STARTUP_TIMEOUT);
+
+    this.socket = new WebSocket(`ws://127.0.0.1:${this.port}`);
+    this.socket.on('message', data => this.messages.push(JSON.parse(data)));
+    await new Promise((resolve, reject) => {
+      this.socket.once('open', resolve);
+      this.socket.once('error', reject);
+    });
+    return this;
+  }
+
+  async stop() {
+    this.socket?.terminate();
+    if (this.child && this.child.exitCode === null) {
+      const exited = new Promise(resolve => this.child.once('exit', resolve));
+      this.child.kill();
+      await exited;
+    }
+    if (this.root) {
+      await fs.remove(this.root);
+    }
+  }
+
+  async waitForOutput(pattern, timeout) {
+    await this.waitFor(() => pattern.test(this.output), timeout, `server output matching ${pattern}`);
+  }
+
+  // Resolve once check() returns something truthy, polling until the timeout
+  async waitFor(check, timeout = 30000, description = 'condition') {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      if (this.child.exitCode !== null) {
+        throw new Error(`Server exited with code ${this.child.exitCode} while waiting for ${description}\n${this.tail()}`);
+      }
+      const result = await check();
+      if (result) return result;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Timed out waiting for ${description}\n${this.tail()}`);
+  }
+
+  // The first WebSocket message matching type and predicate, waiting for it if needed
+  waitForMessage(type, predicate = () => true, timeout) {
+    return this.waitFor(
+      () => this.messages.find(message => message.type === type && predicate(message.data)),
+      timeout,
+      `a ${type} message`
+    );
+  }
+
+  // Updates broadcast for one download, oldest first
+  updatesFor(downloadId) {
+    return this.messages
+      .filter(message => message.type === 'download_update' && message.data.id === downloadId)
+      .map(message => message.data);
+  }
+
+  // Wait until a download reaches a final state and return its last update
+  async waitForDownload(downloadId, timeout = 45000) {
+    return this.waitForMessage(
+      'download_update',
+      data => data.id === downloadId && ['completed', 'failed', 'cancelled'].includes(data.status),
+      timeout
+    ).then(message => message.data);
+  }
+
+  async request(method, urlPath, body) {
+    const response = await fetch(`${this.url}${urlPath}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    return { status: response.status, data };
+  }
+
+  get(urlPath) {
+    return this.request('GET', urlPath);
+  }
+
+  post(urlPath, body) {
+    return this.request('POST', urlPath, body);
+  }
+
+  // Last lines of the server log, to explain a failure
+  tail(lines = 40) {
+    return this.output.trim().split('\n').slice(-lines).join('\n');
+  }
+}
+
+module.exports = TestServer;
@@ -0,0 +1,55 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const libraryService = require('../services/libraryService');
+const manifestService = require('../services/manifestService');
+
+describe('library album index', () => {
+  let root;
+
+  const writeAlbum = async (folderName, albumId) => {
+    const albumDir = path.join(root, folderName);
+    await fs.ensureDir(albumDir);
+    await manifestService.write(albumDir, { albumId, title: folderName, artist: 'The Fixtures', tracks: [] });
+    return albumDir;
+  };
+
+  beforeAll(async () => {
+    // The manifest service logs every write
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'quackbus-library-'));
+    process.env.DOWNLOAD_PATH = root;
+  });
+
+  afterAll(async () => {
+    delete process.env.DOWNLOAD_PATH;
+    await fs.remove(root);
+    jest.restoreAllMocks();
+  });
+
+  it('reads the manifests once and finds albums by ID from then on', async () => {
+    const testPatternDir = await writeAlbum('The Fixtures - Test Pattern (2019)', 'test-pattern');
+    const deadAirDir = await writeAlbum('The Fixtures - Dead Air (2021)', 'dead-air');
+    const listAlbums = jest.spyOn(libraryService, 'listAlbums');
+
+    await expect(libraryService.findAlbumDirById('test-pattern')).resolves.toBe(testPatternDir);
+    await expect(libraryService.findAlbumDirById('dead-air')).resolves.toBe(deadAirDir);
+    await expect(libraryService.findAlbumDirById('station-ident')).resolves.toBeNull();
+    expect(listAlbums).toHaveBeenCalledTimes(1);
+    listAlbums.mockRestore();
+  });
+
+  it('knows an album as soon as its manifest is written', async () => {
+    const albumDir = path.join(root, 'The Fixtures - Station Ident (2020)');
+    await fs.ensureDir(albumDir);
+    await libraryService.writeManifest(albumDir, { albumId: 'station-ident', title: 'Station Ident', artist: 'The Fixtures', tracks: [] });
+
+    await expect(libraryService.findAlbumDirById('station-ident')).resolves.toBe(albumDir);
+  });
+
+  it('forgets a folder that was removed from the library', async () => {
+    await fs.remove(path.join(root, 'The Fixtures - Dead Air (2021)'));
+
+    await expect(libraryService.findAlbumDirById('dead-air')).resolves.toBeNull();
+  });
+});
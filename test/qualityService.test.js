@@ -0,0 +1,32 @@
+const qualityService = require('../services/qualityService');
+
+describe('quality classification', () => {
+  const flac = (bitDepth, sampleRate) => ({ codec: 'FLAC', lossless: true, bitDepth, sampleRate });
+
+  it('classifies delivered files', () => {
+    expect(qualityService.getQualityId({ codec: 'MPEG 1 Layer 3', lossless: false, bitrate: 320000 })).toBe(5);
+    expect(qualityService.getQualityId(flac(16, 44100))).toBe(6);
+    expect(qualityService.getQualityId(flac(24, 44100))).toBe(7);
+    expect(qualityService.getQualityId(flac(24, 48000))).toBe(7);
+    expect(qualityService.getQualityId(flac(24, 96000))).toBe(7);
+    expect(qualityService.getQualityId(flac(24, 192000))).toBe(27);
+  });
+
+  it('classifies what the catalog offers the same way', () => {
+    expect(qualityService.getAvailableQualityId({ maximum_bit_depth: 16, maximum_sampling_rate: 44.1 })).toBe(6);
+    expect(qualityService.getAvailableQualityId({ maximum_bit_depth: 24, maximum_sampling_rate: 48 })).toBe(7);
+    expect(qualityService.getAvailableQualityId({ maximum_bit_depth: 24, maximum_sampling_rate: 96 })).toBe(7);
+    expect(qualityService.getAvailableQualityId({ maximum_bit_depth: 24, maximum_sampling_rate: 192 })).toBe(27);
+    expect(qualityService.getAvailableQualityId({})).toBe(27);
+  });
+
+  it('does not report 24-bit at 48 kHz as lower than Hi-Res 96kHz', async () => {
+    const readFormat = jest.spyOn(qualityService, 'readFormat').mockResolvedValue(flac(24, 48000));
+    try {
+      await expect(qualityService.check('track.flac', 7)).resolves.toMatchObject({ deliveredQuality: 7, belowExpected: false });
+      await expect(qualityService.check('track.flac', 27)).resolves.toMatchObject({ deliveredQuality: 7, belowExpected: true });
+    } finally {
+      readFormat.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,27 @@
+const { isValidWindow, isWithinWindow } = require('../services/timeWindow');
+
+describe('download windows', () => {
+  const at = (hours, minutes) => new Date(2024, 0, 1, hours, minutes);
+
+  it('accepts windows with different start and end times', () => {
+    expect(isValidWindow({ start: '00:00', end: '06:00' })).toBe(true);
+    expect(isValidWindow({ start: '22:00', end: '06:00' })).toBe(true);
+  });
+
+  it('rejects a window that starts when it ends', () => {
+    expect(isValidWindow({ start: '02:00', end: '02:00' })).toBe(false);
+    expect(isValidWindow({ start: '2:00', end: '02:00' })).toBe(false);
+  });
+
+  it('rejects times that are not HH:MM', () => {
+    expect(isValidWindow({ start: '24:00', end: '06:00' })).toBe(false);
+    expect(isValidWindow({ start: '00:00' })).toBe(false);
+  });
+
+  it('wraps a window around midnight', () => {
+    const window = { start: '22:00', end: '06:00' };
+    expect(isWithinWindow(window, at(23, 30))).toBe(true);
+    expect(isWithinWindow(window, at(5, 59))).toBe(true);
+    expect(isWithinWindow(window, at(6, 0))).toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const StandInCatalog = require('./helpers/standInCatalog');
+const transferService = require('../services/transferService');
+const upstreamScheduler = require('../services/upstreamScheduler');
+
+describe('file transfers', () => {
+  let catalog;
+  let dir;
+  let fileUrl;
+  let original;
+
+  beforeAll(async () => {
+    // The service logs every transfer
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    upstreamScheduler.configure({ requestsPerSecond: 0 });
+    catalog = await new StandInCatalog().start();
+    fileUrl = `${catalog.url}/files/test-pattern-1/6`;
+    original = await fs.readFile(path.join(catalog.fixturesPath, 'audio', 'silence-cd.flac'));
+  });
+
+  afterAll(async () => {
+    await catalog?.stop();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quackbus-transfer-'));
+    catalog.requests = [];
+    catalog.rangeSupport = 'full';
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const rangeHeaders = () => catalog.requestsTo('/files/test-pattern-1/').map(request => request.headers.range);
+
+  it('continues a dropped transfer from where it stopped', async () => {
+    const filePath = path.join(dir, 'track.flac');
+    catalog.dropFileRequests('test-pattern-1', 1000);
+
+    await expect(transferService.downloadToFile(fileUrl, filePath, { resume: true })).rejects.toThrow();
+    expect((await fs.stat(filePath)).size).toBe(1000);
+
+    const result = await transferService.downloadToFile(fileUrl, filePath, { resume: true });
+
+    expect(result).toMatchObject({ size: original.length, totalBytes: original.length, resumed: true });
+    expect((await fs.readFile(filePath)).equals(original)).toBe(true);
+    expect(rangeHeaders()).toEqual([undefined, 'bytes=1000-']);
+  });
+
+  it('downloads from the start when the server ignores the Range header', async () => {
+    const filePath = path.join(dir, 'track.flac');
+    await fs.writeFile(filePath, original.subarray(0, 1000));
+    catalog.rangeSupport = 'ignore';
+
+    const result = await transferService.downloadToFile(fileUrl, filePath, { resume: true });
+
+    expect(result.resumed).toBe(false);
+    expect((await fs.readFile(filePath)).equals(original)).toBe(true);
+  });
+
+  it('downloads from the start when the server sends a different range', async () => {
+    const filePath = path.join(dir, 'track.flac');
+    await fs.writeFile(filePath, original.subarray(0, 1000));
+    catalog.rangeSupport = 'misaligned';
+
+    const result = await transferService.downloadToFile(fileUrl, filePath, { resume: true });
+
+    expect(result.resumed).toBe(false);
+    expect((await fs.readFile(filePath)).equals(original)).toBe(true);
+    expect(rangeHeaders()).toEqual(['bytes=1000-', undefined]);
+  });
+
+  it('keeps a partial file that turns out to be complete', async () => {
+    const filePath = path.join(dir, 'track.flac');
+    await fs.writeFile(filePath, original);
+
+    const result = await transferService.downloadToFile(fileUrl, filePath, { resume: true });
+
+    expect(result).toEqual({ size: original.length, totalBytes: original.length, resumed: true });
+    expect(rangeHeaders()).toEqual([`bytes=${original.length}-`]);
+  });
+
+  it('replaces a partial file that is longer than the real one', async () => {
+    const filePath = path.join(dir, 'track.flac');
+    await fs.writeFile(filePath, Buffer.concat([original, Buffer.alloc(500)]));
+
+    const result = await transferService.downloadToFile(fileUrl, filePath, { resume: true });
+
+    expect(result.resumed).toBe(false);
+    expect((await fs.readFile(filePath)).equals(original)).toBe(true);
+    expect(rangeHeaders()).toEqual([`bytes=${original.length + 500}-`, undefined]);
+  });
+});